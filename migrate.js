@@ -0,0 +1,59 @@
+// Migration runner: applies pending migrations from ./migrations in order and records each
+// one in the `migrations` collection so it never runs twice.
+//   npm run migrate                     apply pending migrations
+//   npm run migrate -- --dry-run        only report what would change
+//   npm run migrate -- --report=out.json  also write the report to a file
+const fs = require("fs");
+const path = require("path");
+const { MongoClient } = require("mongodb");
+const dotenv = require("dotenv");
+dotenv.config();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const reportArg = args.find((a) => a.startsWith("--report="));
+const reportPath = reportArg ? reportArg.slice("--report=".length) : null;
+
+// Helper: migration modules sorted by file name (001-, 002-, ...)
+const loadMigrations = () =>
+  fs
+    .readdirSync(path.join(__dirname, "migrations"))
+    .filter((f) => /^\d{3}-.+\.js$/.test(f))
+    .sort()
+    .map((f) => require(path.join(__dirname, "migrations", f)));
+
+async function run() {
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  const db = client.db(process.env.MONGODB_DB || "mahiBakery");
+  const applied = db.collection("migrations");
+  const done = new Set((await applied.find({}).toArray()).map((m) => m._id));
+
+  const report = { dryRun, startedAt: new Date(), migrations: [] };
+  try {
+    for (const migration of loadMigrations()) {
+      if (done.has(migration.id)) {
+        report.migrations.push({ id: migration.id, status: "already applied" });
+        continue;
+      }
+      console.log(`${dryRun ? "🔎 Checking" : "🚚 Applying"} ${migration.id}: ${migration.description}`);
+      const result = await migration.up(db, { dryRun });
+      report.migrations.push({ id: migration.id, status: dryRun ? "pending" : "applied", result });
+      if (!dryRun) {
+        await applied.insertOne({ _id: migration.id, description: migration.description, appliedAt: new Date(), result });
+      }
+    }
+  } finally {
+    await client.close();
+  }
+
+  report.finishedAt = new Date();
+  const json = JSON.stringify(report, null, 2);
+  console.log(json);
+  if (reportPath) fs.writeFileSync(reportPath, json);
+}
+
+run().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,79 @@
+const { parseLegacyDate, toNumber, changed } = require("./helpers");
+
+// dailyUsage: yyyy-MM-dd dates, items as { name, itemId, price, pieces, totalKg } with numbers,
+// no parallel `prices` / `pieces` arrays, numeric totalExpense.
+module.exports = {
+  id: "001-usage-canonical-shape",
+  description: "Normalize usage dates and items into one shape",
+  async up(db, { dryRun }) {
+    const usage = db.collection("dailyUsage");
+    const dbItems = await db.collection("items").find({}).toArray();
+    const docs = await usage.find({}).sort({ _id: 1 }).toArray();
+    const report = { scanned: docs.length, changed: 0, unreadableDates: [], duplicateDates: [], badNumbers: [] };
+
+    // Two legacy spellings of the same day would collide: keep the newest, report the rest
+    const byDate = {};
+    docs.forEach((doc) => {
+      const date = parseLegacyDate(doc.date);
+      if (!date) return report.unreadableDates.push({ _id: doc._id, date: doc.date });
+      (byDate[date] = byDate[date] || []).push(doc);
+    });
+
+    for (const [date, group] of Object.entries(byDate)) {
+      if (group.length > 1) {
+        report.duplicateDates.push({ date, kept: group[group.length - 1]._id, skipped: group.slice(0, -1).map((d) => d._id) });
+      }
+      const doc = group[group.length - 1];
+      const rawItems = Array.isArray(doc.items) ? doc.items : [];
+      const items = rawItems.map((item, idx) => {
+        const obj = typeof item === "string" ? { name: item } : { ...item };
+        const price = obj.price ?? (Array.isArray(doc.prices) ? doc.prices[idx] : undefined);
+        const pieces = obj.pieces ?? (Array.isArray(doc.pieces) ? doc.pieces[idx] : undefined);
+        const dbItem = obj.itemId ? null : dbItems.find((i) => i.name === obj.name);
+        const out = {
+          ...obj,
+          itemId: obj.itemId ? String(obj.itemId) : dbItem ? String(dbItem._id) : undefined,
+          price: toNumber(price),
+          pieces: toNumber(pieces),
+        };
+        if (obj.totalKg !== undefined) out.totalKg = toNumber(obj.totalKg);
+        if (out.itemId === undefined) delete out.itemId;
+        // An unreadable number is reported and kept as stored
+        const raw = { price, pieces, totalKg: obj.totalKg };
+        ["price", "pieces", "totalKg"].forEach((f) => {
+          if (out[f] === null) {
+            report.badNumbers.push({ _id: doc._id, field: `items.${idx}.${f}`, value: raw[f] });
+            out[f] = raw[f];
+          }
+        });
+        return out;
+      });
+      let totalExpense = toNumber(doc.totalExpense);
+      if (totalExpense === null) {
+        report.badNumbers.push({ _id: doc._id, field: "totalExpense", value: doc.totalExpense });
+        totalExpense = doc.totalExpense;
+      }
+
+      const $set = {
+        date,
+        items,
+        totalExpense,
+        retails: Array.isArray(doc.retails) ? doc.retails : [],
+        selectedItems: Array.isArray(doc.selectedItems) ? doc.selectedItems : [],
+      };
+      const $unset = {};
+      if (doc.prices !== undefined) $unset.prices = "";
+      if (doc.pieces !== undefined) $unset.pieces = "";
+      const current = { date: doc.date, items: doc.items, totalExpense: doc.totalExpense, retails: doc.retails, selectedItems: doc.selectedItems };
+      if (!changed(current, $set) && !Object.keys($unset).length) continue;
+
+      report.changed++;
+      if (!dryRun) {
+        const update = { $set };
+        if (Object.keys($unset).length) update.$unset = $unset;
+        await usage.updateOne({ _id: doc._id }, update);
+      }
+    }
+    return report;
+  },
+};
@@ -0,0 +1,76 @@
+const { parseLegacyDate, toNumber, toId, changed } = require("./helpers");
+
+const MONEY_FIELDS = ["totalAmount", "deposit", "prevDue", "totalDue", "currDue"];
+
+// dailySales: yyyy-MM-dd dates, string salesmanId, numeric money fields,
+// `currDue` only (old rows used `currentDue` or `due`), numeric category rows.
+module.exports = {
+  id: "002-daily-sales-canonical-shape",
+  description: "Normalize daily sale dates, due field names and numbers",
+  async up(db, { dryRun }) {
+    const sales = db.collection("dailySales");
+    const docs = await sales.find({}).sort({ _id: 1 }).toArray();
+    const report = {
+      scanned: docs.length, changed: 0, unreadableDates: [], missingSalesman: [], duplicateDates: [], badNumbers: [], renamedDue: 0,
+    };
+
+    // Two legacy spellings of the same day for one salesman would collide: keep the newest, report the rest
+    const byKey = {};
+    docs.forEach((doc) => {
+      const date = parseLegacyDate(doc.date);
+      if (!date) return report.unreadableDates.push({ _id: doc._id, date: doc.date });
+      const salesmanId = toId(doc.salesmanId);
+      if (!salesmanId) return report.missingSalesman.push({ _id: doc._id, salesmanId: doc.salesmanId });
+      const key = `${salesmanId}|${date}`;
+      (byKey[key] = byKey[key] || { date, salesmanId, group: [] }).group.push(doc);
+    });
+
+    for (const { date, salesmanId, group } of Object.values(byKey)) {
+      if (group.length > 1) {
+        report.duplicateDates.push({
+          salesmanId, date, kept: group[group.length - 1]._id, skipped: group.slice(0, -1).map((d) => d._id),
+        });
+      }
+      const doc = group[group.length - 1];
+      const $set = { date, salesmanId };
+      const $unset = {};
+      if (doc.currDue === undefined && (doc.currentDue !== undefined || doc.due !== undefined)) {
+        $set.currDue = doc.currentDue ?? doc.due;
+        report.renamedDue++;
+      }
+      if (doc.currentDue !== undefined) $unset.currentDue = "";
+      if (doc.due !== undefined) $unset.due = "";
+
+      // An unreadable number is reported and kept as stored
+      MONEY_FIELDS.forEach((f) => {
+        const value = $set[f] ?? doc[f];
+        const n = toNumber(value);
+        if (n === null) report.badNumbers.push({ _id: doc._id, field: f, value });
+        $set[f] = n ?? value;
+      });
+      $set.categories = (Array.isArray(doc.categories) ? doc.categories : []).map((c, idx) => {
+        const out = { ...c };
+        ["qty", "price", "total"].forEach((f) => {
+          if (c[f] === undefined) return;
+          const n = toNumber(c[f]);
+          if (n === null) report.badNumbers.push({ _id: doc._id, field: `categories.${idx}.${f}`, value: c[f] });
+          out[f] = n ?? c[f];
+        });
+        return out;
+      });
+      $set.selectedCategories = Array.isArray(doc.selectedCategories) ? doc.selectedCategories : [];
+
+      const current = {};
+      Object.keys($set).forEach((k) => { current[k] = doc[k]; });
+      if (!changed(current, $set) && !Object.keys($unset).length) continue;
+
+      report.changed++;
+      if (!dryRun) {
+        const update = { $set };
+        if (Object.keys($unset).length) update.$unset = $unset;
+        await sales.updateOne({ _id: doc._id }, update);
+      }
+    }
+    return report;
+  },
+};
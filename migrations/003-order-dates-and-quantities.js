@@ -0,0 +1,59 @@
+const { parseLegacyDate, toNumber, toId, changed } = require("./helpers");
+
+// salesmanOrders, ghorerMal, salesmanDayOrders: yyyy-MM-dd dates, string ids, numeric qty.
+module.exports = {
+  id: "003-order-dates-and-quantities",
+  description: "Normalize order, ghorer mal and day order dates and quantities",
+  async up(db, { dryRun }) {
+    const report = {};
+    for (const name of ["salesmanOrders", "ghorerMal", "salesmanDayOrders"]) {
+      const collection = db.collection(name);
+      const docs = await collection.find({}).toArray();
+      const r = { scanned: docs.length, changed: 0, unreadableDates: [], missingIds: [], badNumbers: [] };
+      for (const doc of docs) {
+        const date = parseLegacyDate(doc.date);
+        if (!date) {
+          r.unreadableDates.push({ _id: doc._id, date: doc.date });
+          continue;
+        }
+        // An unreadable number is reported and kept as stored
+        const qty = (value, field) => {
+          const n = toNumber(value);
+          if (n === null) r.badNumbers.push({ _id: doc._id, field, value });
+          return n ?? value;
+        };
+        // A missing id is reported and left missing rather than stored as "undefined"
+        const id = (value, field) => {
+          const text = toId(value);
+          if (text === null) r.missingIds.push({ _id: doc._id, field, value });
+          return text ?? value;
+        };
+        const $set = { date };
+        if (name === "salesmanDayOrders") {
+          $set.salesman = (Array.isArray(doc.salesman) ? doc.salesman : []).map((s, idx) => {
+            const row = { ...s, qty: qty(s.qty, `salesman.${idx}.qty`) };
+            ["salesmanId", "itemId"].forEach((f) => {
+              const value = id(s[f], `salesman.${idx}.${f}`);
+              if (value !== undefined) row[f] = value;
+            });
+            return row;
+          });
+          $set.ghorerMalTotal = qty(doc.ghorerMalTotal, "ghorerMalTotal");
+          $set.motPcsTotal = qty(doc.motPcsTotal, "motPcsTotal");
+        } else {
+          if (doc.salesmanId !== undefined) $set.salesmanId = id(doc.salesmanId, "salesmanId");
+          const itemId = id(doc.itemId, "itemId");
+          if (itemId !== undefined) $set.itemId = itemId;
+          $set.qty = qty(doc.qty, "qty");
+        }
+        const current = {};
+        Object.keys($set).forEach((k) => { current[k] = doc[k]; });
+        if (!changed(current, $set)) continue;
+        r.changed++;
+        if (!dryRun) await collection.updateOne({ _id: doc._id }, { $set });
+      }
+      report[name] = r;
+    }
+    return report;
+  },
+};
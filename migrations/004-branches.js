@@ -0,0 +1,56 @@
+// Branches: create the default branch and move existing per-branch data into it.
+// Revision ids gain the branch too ("<entity>:<date>" -> "<entity>:main:<date>").
+const DEFAULT_BRANCH = "main";
+const SCOPED = [
+  "dailyUsage",
+  "salesmanOrders",
+  "salesmanDayOrders",
+  "ghorerMal",
+  "dailySales",
+  "salesmanPayments",
+  "salesmanReturns",
+  "stockLedger",
+];
+
+module.exports = {
+  id: "004-branches",
+  description: "Create the default branch and assign existing data to it",
+  async up(db, { dryRun }) {
+    const report = {};
+
+    const branches = db.collection("branches");
+    const exists = await branches.findOne({ code: DEFAULT_BRANCH });
+    report.branches = { created: exists ? 0 : 1 };
+    if (!exists && !dryRun) {
+      await branches.insertOne({
+        code: DEFAULT_BRANCH,
+        name: "Main",
+        address: "",
+        phone: "",
+        archived: false,
+        createdAt: new Date(),
+      });
+    }
+
+    for (const name of SCOPED) {
+      const collection = db.collection(name);
+      const filter = { branch: { $exists: false } };
+      const missing = await collection.countDocuments(filter);
+      report[name] = { scanned: await collection.countDocuments({}), changed: missing };
+      if (missing && !dryRun) await collection.updateMany(filter, { $set: { branch: DEFAULT_BRANCH } });
+    }
+
+    const revisions = db.collection("revisions");
+    const old = (await revisions.find({}).toArray()).filter((r) => String(r._id).split(":").length === 2);
+    report.revisions = { changed: old.length };
+    if (!dryRun) {
+      // Upsert before deleting so a run that stopped halfway can be run again
+      for (const { _id, ...doc } of old) {
+        const [entity, date] = String(_id).split(":");
+        await revisions.replaceOne({ _id: `${entity}:${DEFAULT_BRANCH}:${date}` }, doc, { upsert: true });
+        await revisions.deleteOne({ _id });
+      }
+    }
+    return report;
+  },
+};
@@ -0,0 +1,48 @@
+const moment = require("moment");
+
+// Every date format the app has stored over time (including Bengali `LL dddd`)
+const LEGACY_DATE_FORMATS = [
+  "YYYY-MM-DD",
+  "YYYY/MM/DD",
+  "YYYY-MM-DD dddd",
+  "YYYY/MM/DD dddd",
+  "LL dddd",
+  "LL",
+  "l",
+  "dddd, D MMMM YYYY",
+  "D MMMM YYYY",
+];
+
+// Helper: yyyy-MM-dd for a stored date in any legacy format, or "" if unreadable
+const parseLegacyDate = (value) => {
+  if (!value) return "";
+  if (value instanceof Date) return moment(value).format("YYYY-MM-DD");
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  let m = moment(String(value), LEGACY_DATE_FORMATS, "bn", true);
+  if (!m.isValid()) m = moment(String(value), LEGACY_DATE_FORMATS, "en", true);
+  if (!m.isValid()) m = moment(new Date(String(value).replace(/[^\d-]/g, "-")));
+  // Format in English so the key never has Bengali digits
+  return m.isValid() ? m.clone().locale("en").format("YYYY-MM-DD") : "";
+};
+
+const BN_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+// Helper: number from a stored value ("" and missing count as 0), null if not a number.
+// Bengali digits, thousands commas, spaces and a taka sign are read too.
+const toNumber = (value) => {
+  if (value === "" || value === null || value === undefined) return 0;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const text = String(value)
+    .replace(/[০-৯]/g, (d) => BN_DIGITS.indexOf(d))
+    .replace(/[,\s৳]/g, "");
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+  return Number(text);
+};
+
+// Helper: id stored as a string; a missing id stays missing (never the text "undefined")
+const toId = (value) => (value === null || value === undefined || value === "" ? null : String(value));
+
+// Helper: true when two plain values differ (documents are compared as JSON)
+const changed = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+
+module.exports = { parseLegacyDate, toNumber, toId, changed };
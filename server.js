@@ -1,13 +1,30 @@
 // Convert all imports to CommonJS require style:
 const express = require("express");
 const cors = require("cors");
-const { MongoClient, ObjectId } = require("mongodb");
+const { MongoClient, ObjectId, BSON } = require("mongodb");
 const dotenv = require("dotenv");
 const moment = require("moment");
 const http = require("http");
 const { Server } = require("socket.io");
+const jwt = require("jsonwebtoken");
+const admin = require("firebase-admin");
+const mongoose = require("mongoose");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+const { once } = require("events");
+const puppeteer = require("puppeteer-core");
 dotenv.config();
 
+// Every token is signed and checked with JWT_SECRET: refuse to start without one
+// (checked before the database connection is opened)
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  console.error("❌ JWT_SECRET is not set");
+  process.exit(1);
+}
+
 const app = express();
 const port = process.env.PORT || 5000;
 
@@ -19,8 +36,20 @@ const io = new Server(server, {
     methods: ["GET", "POST"],
   },
 });
+// Only signed-in users may open a socket (token sent as `auth: { token }`)
+io.use(async (socket, next) => {
+  try {
+    const user = await getUserFromToken(socket.handshake.auth?.token);
+    if (!user) return next(new Error("Unauthorized"));
+    socket.data.user = user;
+    next();
+  } catch {
+    next(new Error("Unauthorized"));
+  }
+});
 io.on("connection", (socket) => {
   console.log("🔌 Client connected:", socket.id);
+  registerEventHandlers(socket);
   socket.on("disconnect", () => {
     console.log("❌ Client disconnected:", socket.id);
   });
@@ -29,11 +58,15 @@ io.on("connection", (socket) => {
 app.set("io", io);
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ exposedHeaders: ["X-Revision"] }));
+// The restore route reads its body as raw bytes (gzipped or plain JSON), so it skips the JSON parser
+const jsonParser = express.json();
+app.use((req, res, next) => (req.path === "/api/admin/restore" ? next() : jsonParser(req, res, next)));
+app.use(collectEvents);
 
 // MongoDB Setup
 const client = new MongoClient(process.env.MONGODB_URI);
+const DB_NAME = process.env.MONGODB_DB || "mahiBakery";
 let usageCollection;
 let itemsCollection;
 let ingredientsCollection;
@@ -42,11 +75,33 @@ let salesmenCollection; // <-- add
 let salesmanOrdersCollection; // <-- add
 let salesmanDayOrdersCollection; // <-- add
 let dailySalesCollection; // <-- add
+let recipesCollection;
+let stockLedgerCollection;
+let salesmanPaymentsCollection;
+let priceHistoryCollection;
+let auditLogCollection;
+let eventsCollection;
+let countersCollection;
+let revisionsCollection;
+let syncKeysCollection;
+let salesmanReturnsCollection;
+let ghorerMalCollection;
+let branchesCollection;
+let customersCollection;
+let retailSalesCollection;
+let customerPaymentsCollection;
+let reminderRulesCollection;
+let reminderOutboxCollection;
+let closedDaysCollection;
+let periodClosingsCollection;
+let commissionRulesCollection;
+let salesmanAdvancesCollection;
+let settlementsCollection;
 
 async function connectDB() {
   try {
     await client.connect();
-    const db = client.db("mahiBakery");
+    const db = client.db(DB_NAME);
     usageCollection = db.collection("dailyUsage");
     itemsCollection = db.collection("items");
     ingredientsCollection = db.collection("ingredients");
@@ -55,7 +110,68 @@ async function connectDB() {
     salesmanOrdersCollection = db.collection("salesmanOrders"); // <-- add
     salesmanDayOrdersCollection = db.collection("salesmanDayOrders"); // <-- add
     dailySalesCollection = db.collection("dailySales"); // <-- add
+    recipesCollection = db.collection("recipes");
+    stockLedgerCollection = db.collection("stockLedger");
+    salesmanPaymentsCollection = db.collection("salesmanPayments");
+    priceHistoryCollection = db.collection("priceHistory");
+    auditLogCollection = db.collection("auditLog");
+    eventsCollection = db.collection("events");
+    countersCollection = db.collection("counters");
+    revisionsCollection = db.collection("revisions");
+    syncKeysCollection = db.collection("syncKeys");
+    salesmanReturnsCollection = db.collection("salesmanReturns");
+    ghorerMalCollection = db.collection("ghorerMal");
+    branchesCollection = db.collection("branches");
+    customersCollection = db.collection("customers");
+    retailSalesCollection = db.collection("retailSales");
+    customerPaymentsCollection = db.collection("customerPayments");
+    reminderRulesCollection = db.collection("reminderRules");
+    reminderOutboxCollection = db.collection("reminderOutbox");
+    closedDaysCollection = db.collection("closedDays");
+    periodClosingsCollection = db.collection("periodClosings");
+    commissionRulesCollection = db.collection("commissionRules");
+    salesmanAdvancesCollection = db.collection("salesmanAdvances");
+    settlementsCollection = db.collection("settlements");
     console.log("✅ Connected to MongoDB");
+    await eventsCollection.createIndex({ seq: 1 }, { unique: true });
+    await eventsCollection.createIndex({ at: 1 }, { expireAfterSeconds: EVENT_TTL_SECONDS });
+    await syncKeysCollection.createIndex({ createdAt: 1 }, { expireAfterSeconds: SYNC_KEY_TTL_SECONDS });
+    await branchesCollection.createIndex({ code: 1 }, { unique: true });
+    await reminderOutboxCollection.createIndex({ dedupeKey: 1 }, { unique: true });
+    await reminderOutboxCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await closedDaysCollection.createIndex({ branch: 1, date: 1 }, { unique: true });
+    await periodClosingsCollection.createIndex({ branch: 1, from: 1, to: 1 }, { unique: true });
+    await settlementsCollection.createIndex({ branch: 1, salesmanId: 1, month: 1 }, { unique: true });
+    await salesmanAdvancesCollection.createIndex({ branch: 1, salesmanId: 1, date: 1 });
+    // List queries filter by branch + date / salesman / item (see List Queries)
+    for (const collection of [salesmanOrdersCollection, ghorerMalCollection, salesmanDayOrdersCollection, dailySalesCollection,
+      usageCollection, salesmanPaymentsCollection, salesmanReturnsCollection, retailSalesCollection, stockLedgerCollection]) {
+      await collection.createIndex({ branch: 1, date: 1 });
+    }
+    for (const collection of [salesmanOrdersCollection, dailySalesCollection, salesmanPaymentsCollection, salesmanReturnsCollection]) {
+      await collection.createIndex({ branch: 1, salesmanId: 1, date: 1 });
+    }
+    for (const collection of [salesmanOrdersCollection, ghorerMalCollection, salesmanReturnsCollection]) {
+      await collection.createIndex({ branch: 1, itemId: 1, date: 1 });
+    }
+    await retailSalesCollection.createIndex({ branch: 1, customerId: 1, date: 1 });
+    await customerPaymentsCollection.createIndex({ branch: 1, customerId: 1, date: 1 });
+    await stockLedgerCollection.createIndex({ branch: 1, ingredientId: 1, date: 1 });
+    // Scheduled price changes take effect on their day
+    await applyDuePrices();
+    setInterval(() => {
+      applyDuePrices().catch((err) => console.error("❌ Failed to apply scheduled prices:", err));
+    }, 60 * 60 * 1000).unref();
+    // Due reminders: check the rules and send the outbox every few minutes
+    setInterval(() => {
+      runReminders().catch((err) => console.error("❌ Failed to run reminders:", err));
+    }, 5 * 60 * 1000).unref();
+    // Local backups into BACKUP_DIR (every BACKUP_INTERVAL_HOURS, default daily)
+    if (BACKUP_DIR) {
+      setInterval(() => {
+        runScheduledBackup().catch((err) => console.error("❌ Failed to save scheduled backup:", err));
+      }, (Number(process.env.BACKUP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000).unref();
+    }
   } catch (err) {
     console.error("❌ MongoDB connection error:", err);
   }
@@ -67,6 +183,165 @@ app.get("/", (req, res) => {
   res.send("স্বাগতম! মাহি বেকারির সার্ভার চলছে 🚀");
 });
 
+// --- Auth & Roles ---
+// Roles: admin > manager > salesman > viewer. Old "user" role is treated as viewer.
+const ROLES = ["admin", "manager", "salesman", "viewer"];
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((e) => e.trim().toLowerCase())
+  .filter(Boolean);
+
+// Firebase Admin verifies the ID token the client gets after Google sign-in
+// FIREBASE_SERVICE_ACCOUNT = base64 encoded service account JSON
+let firebaseAuth = null;
+if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+  const serviceAccount = JSON.parse(
+    Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, "base64").toString("utf8")
+  );
+  admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+  firebaseAuth = admin.auth();
+}
+
+const normalizeRole = (role) => (ROLES.includes(role) ? role : "viewer");
+
+// --- Branches ---
+// Each outlet is a branch ({ code, name, address, phone, archived }); documents refer to it by `code`.
+// Orders, usage, ghorer mal, daily sales, payments, returns and stock are kept per branch
+// (`branch` field). Items, salesmen and prices are shared when `branch` is null, or owned by one branch.
+// Users get access per branch (`branches` on the user, admins see all). Requests pick the branch
+// with the `X-Branch` header or `?branch=`; without it the user's first branch is used.
+const DEFAULT_BRANCH = "main";
+const BRANCH_CODE_RE = /^[a-z0-9-]{1,30}$/;
+// Audited entities whose documents belong to one branch
+const BRANCH_ENTITIES = [
+  "salesmanOrders",
+  "salesmanDayOrders",
+  "ghorerMal",
+  "dailySales",
+  "dailyUsage",
+  "salesmanPayments",
+  "salesmanReturns",
+  "stockLedger",
+  "customers",
+  "retailSales",
+  "customerPayments",
+  "reminderRules",
+  "closedDays",
+  "periodClosings",
+  "commissionRules",
+  "salesmanAdvances",
+  "settlements",
+];
+
+// Helper: branches a user may work in ("*" = all)
+const userBranches = (user) =>
+  user.role === "admin" ? ["*"] : Array.isArray(user.branches) && user.branches.length ? user.branches : [DEFAULT_BRANCH];
+
+const canAccessBranch = (user, code) => {
+  const branches = userBranches(user);
+  return branches.includes("*") || branches.includes(code);
+};
+
+// Helper: the branch a request works in, or { error, status }
+async function resolveBranch(req, user) {
+  const requested = req.headers["x-branch"] || req.query?.branch;
+  const allowed = userBranches(user);
+  const code = String(requested || (allowed.includes("*") || allowed.includes(DEFAULT_BRANCH) ? DEFAULT_BRANCH : allowed[0]));
+  if (!canAccessBranch(user, code)) return { status: 403, error: "No access to this branch" };
+  const branch = await branchesCollection.findOne({ code, archived: { $ne: true } });
+  // The default branch works before it is created (fresh install / before migration 004)
+  if (!branch && code !== DEFAULT_BRANCH) return { status: 400, error: "Unknown branch" };
+  return { code };
+}
+
+// Helper: items / salesmen / prices visible in a branch (shared ones plus the branch's own)
+const sharedOrOwn = (branch) => ({ branch: { $in: [null, branch] } });
+
+// Helper: load the user behind a signed token (role is always read fresh from db)
+async function getUserFromToken(token) {
+  if (!token) return null;
+  const payload = jwt.verify(token, JWT_SECRET);
+  const user = await usersCollection.findOne({ _id: new ObjectId(payload.uid) });
+  if (!user || user.disabled) return null;
+  return {
+    _id: user._id,
+    email: user.email,
+    role: normalizeRole(user.role),
+    salesmanId: user.salesmanId ? String(user.salesmanId) : null,
+    branches: Array.isArray(user.branches) ? user.branches : [],
+  };
+}
+
+// Middleware: require a valid `Authorization: Bearer <token>` header
+const verifyToken = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+  let user = null;
+  try {
+    user = await getUserFromToken(token);
+  } catch {
+    user = null;
+  }
+  if (!user) return res.status(401).json({ error: "Unauthorized" });
+  req.user = user;
+  let branch;
+  try {
+    branch = await resolveBranch(req, user);
+  } catch {
+    return res.status(500).json({ error: "Failed to resolve branch" });
+  }
+  if (branch.error) return res.status(branch.status).json({ error: branch.error });
+  req.branch = branch.code;
+  next();
+};
+
+// Middleware: allow only the given roles (use after verifyToken)
+const verifyRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+  next();
+};
+
+// Helper: salesman users only see their own rows
+const isOwnSalesman = (req, salesmanId) =>
+  req.user.role !== "salesman" || String(salesmanId) === req.user.salesmanId;
+
+// POST - Exchange a Firebase ID token for an API token
+app.post("/api/auth/token", async (req, res) => {
+  try {
+    const { idToken } = req.body;
+    if (!idToken) return res.status(400).json({ error: "idToken required" });
+    if (!firebaseAuth) return res.status(500).json({ error: "Auth not configured" });
+    let decoded;
+    try {
+      decoded = await firebaseAuth.verifyIdToken(idToken);
+    } catch {
+      return res.status(401).json({ error: "Invalid idToken" });
+    }
+    const email = (decoded.email || "").toLowerCase();
+    if (!email) return res.status(400).json({ error: "Email required" });
+
+    const isAdminEmail = ADMIN_EMAILS.includes(email);
+    const update = {
+      $set: { email, displayName: decoded.name || "", photoURL: decoded.picture || "" },
+    };
+    // ADMIN_EMAILS are always admin; everyone else starts as viewer
+    if (isAdminEmail) update.$set.role = "admin";
+    else update.$setOnInsert = { role: "viewer" };
+    await usersCollection.updateOne({ email }, update, { upsert: true });
+    const user = await usersCollection.findOne({ email });
+    if (user.disabled) return res.status(403).json({ error: "Forbidden" });
+    const token = jwt.sign({ uid: user._id.toString(), email }, JWT_SECRET, {
+      expiresIn: process.env.JWT_EXPIRES_IN || "7d",
+    });
+    res.json({ token, user: { ...user, role: normalizeRole(user.role) } });
+  } catch (err) {
+    console.error("❌ Failed to issue token:", err);
+    res.status(500).json({ error: "Failed to issue token" });
+  }
+});
+
 // Helper: always get date as yyyy-MM-dd (local time zone safe)
 const toDateKey = (date) => {
   if (!date) return "";
@@ -81,12 +356,812 @@ const toDateKey = (date) => {
   return localISO;
 };
 
+// Helper: move a yyyy-MM-dd key by some days
+const shiftDateKey = (dateKey, days) =>
+  moment(dateKey, "YYYY-MM-DD").add(days, "days").format("YYYY-MM-DD");
+
+// Helper: Saturday that starts the week (Saturday to Friday) of a moment date
+const weekStart = (m) => {
+  const start = m.clone().day(6); // Saturday
+  if (m.day() < 6) start.subtract(7, "days"); // If before Saturday, go to last week's Saturday
+  return start;
+};
+
+const PERIOD_GROUPS = ["day", "week", "month", "year"];
+const BN_MONTHS = ["জানুয়ারি", "ফেব্রুয়ারি", "মার্চ", "এপ্রিল", "মে", "জুন", "জুলাই", "আগস্ট", "সেপ্টেম্বর", "অক্টোবর", "নভেম্বর", "ডিসেম্বর"];
+
+// Helper: period a yyyy-MM-dd key falls in. `key` sorts as text; `label` is for display.
+// Weeks run Saturday to Friday.
+const getPeriod = (dateKey, groupBy) => {
+  const m = moment(dateKey, "YYYY-MM-DD");
+  if (groupBy === "week") {
+    const start = weekStart(m);
+    const end = start.clone().add(6, "days");
+    return {
+      key: start.format("YYYY-MM-DD"),
+      label: `শনি-শুক্র (${start.format("DD/MM/YYYY")} - ${end.format("DD/MM/YYYY")})`,
+      start: start.format("YYYY-MM-DD"),
+      end: end.format("YYYY-MM-DD"),
+    };
+  }
+  if (groupBy === "month") {
+    return {
+      key: m.format("YYYY-MM"),
+      label: `${BN_MONTHS[m.month()]} ${m.year()}`,
+      start: m.clone().startOf("month").format("YYYY-MM-DD"),
+      end: m.clone().endOf("month").format("YYYY-MM-DD"),
+    };
+  }
+  if (groupBy === "year") {
+    return {
+      key: m.format("YYYY"),
+      label: `${m.year()} সাল`,
+      start: m.clone().startOf("year").format("YYYY-MM-DD"),
+      end: m.clone().endOf("year").format("YYYY-MM-DD"),
+    };
+  }
+  return { key: dateKey, label: m.format("DD/MM/YYYY"), start: dateKey, end: dateKey };
+};
+
+// --- Mongoose Models ---
+// Schemas cast and validate request bodies before they are written with the driver:
+// money and quantities are numbers, dates are yyyy-MM-dd and references must exist.
+const { Schema } = mongoose;
+const OBJECT_ID_RE = /^[a-f\d]{24}$/i;
+
+// Helper: number >= 0, empty input counts as 0
+const numberField = () => ({
+  type: Number,
+  default: 0,
+  min: [0, "{PATH} cannot be negative"],
+  set: (v) => (v === "" || v === null || v === undefined ? 0 : v),
+});
+
+// Helper: money that may go below 0 (a due after an overpayment)
+const signedField = () => ({
+  type: Number,
+  default: 0,
+  set: (v) => (v === "" || v === null || v === undefined ? 0 : v),
+});
+
+// Helper: date normalized to yyyy-MM-dd
+const dateField = () => ({
+  type: String,
+  required: [true, "{PATH} required"],
+  set: (v) => toDateKey(v) || v,
+  match: [/^\d{4}-\d{2}-\d{2}$/, "{PATH} must be YYYY-MM-DD"],
+});
+
+// Helper: id of a document in another collection, stored as string
+const refField = (getCollection, label) => ({
+  type: String,
+  required: [true, "{PATH} required"],
+  set: (v) => (v === null || v === undefined ? v : String(v)),
+  validate: [
+    { validator: (v) => OBJECT_ID_RE.test(v), message: "{PATH} must be a valid id" },
+    {
+      validator: async (v) =>
+        !OBJECT_ID_RE.test(v) ||
+        Boolean(await getCollection().findOne({ _id: new ObjectId(v) }, { projection: { _id: 1 } })),
+      message: `{PATH} does not match any ${label}`,
+    },
+  ],
+});
+
+const nameField = () => ({ type: String, required: [true, "{PATH} required"], trim: true });
+
+// Helper: owning branch code; null = shared by every branch
+const branchField = () => ({
+  type: String,
+  default: null,
+  set: (v) => (v === "" || v === undefined ? null : v),
+  validate: {
+    validator: async (v) =>
+      v === null || v === DEFAULT_BRANCH || Boolean(await branchesCollection.findOne({ code: v }, { projection: { _id: 1 } })),
+    message: "{PATH} does not match any branch",
+  },
+});
+
+const Item = mongoose.model(
+  "Item",
+  new Schema({
+    name: nameField(),
+    price: numberField(),
+    category: { type: String, default: "", trim: true },
+    branch: branchField(),
+  }),
+  "items"
+);
+
+const Ingredient = mongoose.model(
+  "Ingredient",
+  new Schema({ name: nameField(), price: numberField(), reorderLevel: numberField() }),
+  "ingredients"
+);
+
+const Salesman = mongoose.model(
+  "Salesman",
+  new Schema({
+    name: nameField(),
+    phone: { type: String, default: "", trim: true },
+    branch: branchField(),
+    // Monthly settlement takes the outstanding due off the commission (see Commission & Settlement)
+    deductDueFromCommission: { type: Boolean, default: false },
+  }),
+  "salesmen"
+);
+
+const Branch = mongoose.model(
+  "Branch",
+  new Schema({
+    code: {
+      type: String,
+      required: [true, "{PATH} required"],
+      trim: true,
+      lowercase: true,
+      match: [BRANCH_CODE_RE, "{PATH} must be 1-30 lowercase letters, digits or -"],
+    },
+    name: nameField(),
+    address: { type: String, default: "", trim: true },
+    phone: { type: String, default: "", trim: true },
+    archived: { type: Boolean, default: false },
+  }),
+  "branches"
+);
+
+const SalesmanOrder = mongoose.model(
+  "SalesmanOrder",
+  new Schema({
+    salesmanId: refField(() => salesmenCollection, "salesman"),
+    itemId: refField(() => itemsCollection, "item"),
+    qty: numberField(),
+    date: dateField(),
+  }),
+  "salesmanOrders"
+);
+
+const GhorerMal = mongoose.model(
+  "GhorerMal",
+  new Schema({ itemId: refField(() => itemsCollection, "item"), qty: numberField(), date: dateField() }),
+  "ghorerMal"
+);
+
+const SalesmanDayOrder = mongoose.model(
+  "SalesmanDayOrder",
+  new Schema({
+    date: dateField(),
+    salesman: [
+      new Schema(
+        {
+          salesmanId: refField(() => salesmenCollection, "salesman"),
+          itemId: refField(() => itemsCollection, "item"),
+          qty: numberField(),
+        },
+        { _id: false }
+      ),
+    ],
+    ghorerMalTotal: numberField(),
+    motPcsTotal: numberField(),
+  }),
+  "salesmanDayOrders"
+);
+
+const SalesmanReturn = mongoose.model(
+  "SalesmanReturn",
+  new Schema({
+    salesmanId: refField(() => salesmenCollection, "salesman"),
+    itemId: refField(() => itemsCollection, "item"),
+    date: dateField(),
+    qty: numberField(),
+    condition: {
+      type: String,
+      required: [true, "condition required"],
+      enum: { values: ["resellable", "waste"], message: "condition must be resellable or waste" },
+    },
+    note: { type: String, default: "" },
+  }),
+  "salesmanReturns"
+);
+
+// Retail customer (creditLimit 0 = no limit; openingDue = due carried in when added)
+const Customer = mongoose.model(
+  "Customer",
+  new Schema({
+    name: nameField(),
+    phone: { type: String, default: "", trim: true },
+    address: { type: String, default: "", trim: true },
+    creditLimit: numberField(),
+    openingDue: signedField(),
+  }),
+  "customers"
+);
+
+// Body of POST /api/retail-sales: one customer's items of a date (price defaults to the price book)
+const RetailSale = mongoose.model(
+  "RetailSale",
+  new Schema({
+    customerId: refField(() => customersCollection, "customer"),
+    date: dateField(),
+    items: [
+      new Schema(
+        {
+          itemId: refField(() => itemsCollection, "item"),
+          qty: numberField(),
+          price: { type: Number, min: [0, "{PATH} cannot be negative"] },
+        },
+        { _id: false }
+      ),
+    ],
+    note: { type: String, default: "" },
+  }),
+  "retailSales"
+);
+
+const CustomerPayment = mongoose.model(
+  "CustomerPayment",
+  new Schema({
+    customerId: refField(() => customersCollection, "customer"),
+    date: dateField(),
+    amount: { type: Number, required: [true, "{PATH} required"] },
+    method: { type: String, default: "cash" },
+    note: { type: String, default: "" },
+  }),
+  "customerPayments"
+);
+
+// Due reminder rule (see Due Reminders); channel is checked against the transports in the route
+const ReminderRule = mongoose.model(
+  "ReminderRule",
+  new Schema({
+    name: nameField(),
+    type: {
+      type: String,
+      required: [true, "type required"],
+      enum: { values: ["dueAbove", "noDeposit"], message: "type must be dueAbove or noDeposit" },
+    },
+    threshold: numberField(),
+    days: numberField(),
+    channel: { type: String, default: "sms" },
+    template: { type: String, default: "", trim: true },
+    active: { type: Boolean, default: true },
+  }),
+  "reminderRules"
+);
+
+// Commission rule (see Commission & Settlement); no salesmanId / category = every salesman / category
+const CommissionRule = mongoose.model(
+  "CommissionRule",
+  new Schema({
+    salesmanId: {
+      ...refField(() => salesmenCollection, "salesman"),
+      required: false,
+      set: (v) => (v === "" || v === null || v === undefined ? undefined : String(v)),
+    },
+    category: { type: String, default: "", trim: true },
+    type: {
+      type: String,
+      required: [true, "type required"],
+      enum: { values: ["percent", "perPiece"], message: "type must be percent or perPiece" },
+    },
+    rate: numberField(),
+    effectiveFrom: dateField(),
+    effectiveTo: { ...dateField(), required: false, set: (v) => (v === "" || v === null ? undefined : toDateKey(v) || v) },
+    note: { type: String, default: "" },
+  }),
+  "commissionRules"
+);
+
+// Methods a payment can be received by
+const PAYMENT_METHODS = ["cash", "bkash", "nagad", "bank", "other"];
+
+// Body of POST /api/salesman-payments (also sent through POST /api/sync)
+const SalesmanPayment = mongoose.model(
+  "SalesmanPayment",
+  new Schema({
+    salesmanId: refField(() => salesmenCollection, "salesman"),
+    date: dateField(),
+    amount: { type: Number, required: [true, "{PATH} required"], min: [0.01, "{PATH} must be greater than 0"] },
+    method: {
+      type: String,
+      default: "cash",
+      set: (v) => (v === "" || v === null || v === undefined ? "cash" : v),
+      enum: { values: PAYMENT_METHODS, message: `method must be one of: ${PAYMENT_METHODS.join(", ")}` },
+    },
+    note: { type: String, default: "" },
+    receivedBy: { type: String, default: "", trim: true },
+  }),
+  "salesmanPayments"
+);
+
+const SalesmanAdvance = mongoose.model(
+  "SalesmanAdvance",
+  new Schema({
+    salesmanId: refField(() => salesmenCollection, "salesman"),
+    date: dateField(),
+    amount: { type: Number, required: [true, "{PATH} required"], min: [0.01, "{PATH} must be greater than 0"] },
+    note: { type: String, default: "" },
+  }),
+  "salesmanAdvances"
+);
+
+// One salesman's row of the daily sale sheet (extra client fields are kept as they are)
+const dailySaleSchema = new Schema(
+  {
+    salesmanId: refField(() => salesmenCollection, "salesman"),
+    categories: [
+      new Schema(
+        { category: { type: String, default: "" }, qty: numberField(), price: numberField(), total: numberField() },
+        { _id: false, strict: false }
+      ),
+    ],
+    selectedCategories: [Schema.Types.Mixed],
+    totalAmount: numberField(),
+    deposit: numberField(),
+    prevDue: signedField(),
+    totalDue: signedField(),
+    currDue: signedField(),
+  },
+  { _id: false, strict: false }
+);
+const DailySale = mongoose.model("DailySale", dailySaleSchema.clone().add({ date: dateField() }), "dailySales");
+
+// Body of POST /api/daily-sale: the whole sheet of one date
+const DailySaleSheet = mongoose.model(
+  "DailySaleSheet",
+  new Schema({
+    date: dateField(),
+    sales: { type: [dailySaleSchema], default: [] },
+    revision: { type: Number, min: [0, "{PATH} cannot be negative"] },
+    mode: { type: String, enum: { values: ["replace", "merge"], message: "mode must be replace or merge" }, default: "replace" },
+  })
+);
+
+const DailyUsage = mongoose.model(
+  "DailyUsage",
+  new Schema(
+    {
+      date: dateField(),
+      items: [
+        new Schema(
+          {
+            name: nameField(),
+            itemId: {
+              type: String,
+              validate: { validator: (v) => OBJECT_ID_RE.test(v), message: "{PATH} must be a valid id" },
+            },
+            price: numberField(),
+            pieces: numberField(),
+            totalKg: numberField(),
+          },
+          { _id: false, strict: false }
+        ),
+      ],
+      totalExpense: numberField(),
+      retails: [Schema.Types.Mixed],
+      selectedItems: [Schema.Types.Mixed],
+    },
+    { strict: false }
+  ),
+  "dailyUsage"
+);
+
+// Helper: 400 body listing each failing field
+const validationErrorBody = (err) => ({
+  error: "Validation failed",
+  fields: Object.entries(err.errors || {}).map(([field, e]) => ({
+    field,
+    message: e.name === "CastError" ? `${field} must be a ${e.kind.toLowerCase()}` : e.message,
+  })),
+});
+
+const isValidationError = (err) => err?.name === "ValidationError";
+
+// Helper: cast and validate a body with a model; throws a mongoose ValidationError.
+// partial: only the fields present in the body are checked and returned (for updates).
+async function parseBody(Model, body, { partial = false } = {}) {
+  const input = body && typeof body === "object" ? body : {};
+  const doc = new Model(input);
+  const keys = Object.keys(input);
+  await doc.validate(partial ? keys : undefined);
+  const value = doc.toObject({ versionKey: false });
+  delete value._id;
+  if (partial) Object.keys(value).forEach((k) => { if (!keys.includes(k)) delete value[k]; });
+  return value;
+}
+
+// Middleware: replace req.body with the cast value, or answer 400
+const validateBody = (Model, options) => async (req, res, next) => {
+  try {
+    req.body = await parseBody(Model, req.body, options);
+  } catch (err) {
+    if (isValidationError(err)) return res.status(400).json(validationErrorBody(err));
+    return res.status(500).json({ error: "Failed to validate request" });
+  }
+  next();
+};
+
+// Route ids must be ObjectIds: answer 400 instead of letting new ObjectId() throw
+["id", "itemId", "ingredientId"].forEach((param) => {
+  app.param(param, (req, res, next, value) => {
+    if (!OBJECT_ID_RE.test(value)) {
+      return res.status(400).json({ error: "Validation failed", fields: [{ field: param, message: `${param} must be a valid id` }] });
+    }
+    next();
+  });
+});
+
+// --- Locks & Transactions ---
+// In-process async locks: work holding the same key runs one after another.
+// Keys are taken in sorted order so two callers can never wait on each other.
+const lockTails = new Map();
+async function withLocks(keys, fn) {
+  const releases = [];
+  for (const key of [...new Set(keys)].sort()) {
+    const prev = lockTails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => { release = resolve; });
+    const tail = prev.then(() => current);
+    lockTails.set(key, tail);
+    await prev;
+    releases.push(() => {
+      release();
+      if (lockTails.get(key) === tail) lockTails.delete(key);
+    });
+  }
+  try {
+    return await fn();
+  } finally {
+    releases.forEach((r) => r());
+  }
+}
+
+// Helper: run fn(session) in a MongoDB transaction (retried on transient errors).
+// Needs a replica set (Atlas clusters are); other servers cannot start a transaction.
+async function runTransaction(fn) {
+  const session = client.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      // Work queued by an attempt that gets retried is dropped with it
+      session.afterCommit = [];
+      result = await fn(session);
+    });
+    for (const task of session.afterCommit) {
+      try {
+        await task();
+      } catch (err) {
+        console.error("❌ Failed to run after commit:", err);
+      }
+    }
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Helper: run `task` once the transaction of `session` has committed (right away outside a transaction)
+const afterCommit = (session, task) => {
+  if (session?.afterCommit) session.afterCommit.push(task);
+  else task().catch((err) => console.error("❌ Failed to run after commit:", err));
+};
+
+// --- Revisions ---
+// Optimistic concurrency for the usage sheet and the daily sale sheet of a date.
+// Each sheet has a revision in `revisions` ({ _id: "<entity>:<branch>:<date>", revision, updatedBy, updatedAt });
+// GET returns it and a save must send it back. A save based on an older revision gets 409.
+// Daily sale rows also carry their own `revision`, used by the per-salesman merge mode.
+
+// Helper: current revision of a sheet (revision 0 = never saved)
+async function getRevision(entity, branch, date, session) {
+  const doc = await revisionsCollection.findOne({ _id: `${entity}:${branch}:${date}` }, { session });
+  return { revision: doc?.revision ?? 0, updatedBy: doc?.updatedBy ?? null, updatedAt: doc?.updatedAt ?? null };
+}
+
+// Helper: bump a sheet's revision after a save; returns the new revision
+async function bumpRevision(entity, branch, date, user, session) {
+  const doc = await revisionsCollection.findOneAndUpdate(
+    { _id: `${entity}:${branch}:${date}` },
+    { $inc: { revision: 1 }, $set: { updatedBy: user?.email ?? null, updatedAt: new Date() } },
+    { upsert: true, returnDocument: "after", session }
+  );
+  return doc.revision;
+}
+
+// Helper: revision sent by the client, or null when missing/invalid
+const parseRevision = (value) =>
+  value !== undefined && value !== null && value !== "" && Number.isInteger(Number(value)) ? Number(value) : null;
+
+// Helper: 409 body for a save based on an old revision
+const conflictBody = (error, current, yourRevision, changes) => ({
+  error,
+  currentRevision: current.revision,
+  yourRevision: yourRevision ?? null,
+  updatedBy: current.updatedBy,
+  updatedAt: current.updatedAt,
+  changes,
+});
+
+// Helper: fields of a daily sale row that the sheet edits (dues are derived, not compared)
+const saleContent = (row) => {
+  if (!row) return null;
+  const { _id, revision, date, salesmanId, prevDue, totalDue, currDue, ...content } = row;
+  return content;
+};
+
+// Helper: rows whose saved version differs from the one being saved
+const dailySaleChanges = (savedRows, incomingRows) => {
+  const saved = new Map(savedRows.map((r) => [String(r.salesmanId), r]));
+  const incoming = new Map(incomingRows.map((r) => [String(r.salesmanId), r]));
+  return [...new Set([...saved.keys(), ...incoming.keys()])]
+    .map((salesmanId) => {
+      const before = saleContent(saved.get(salesmanId));
+      const yours = saleContent(incoming.get(salesmanId));
+      const fields = Object.keys(diffDocs(before, yours));
+      return { salesmanId, revision: Number(saved.get(salesmanId)?.revision) || 0, fields, saved: before, yours };
+    })
+    .filter((c) => c.fields.length);
+};
+
+// Helper: how the saved usage sheet differs from the one being saved
+const usageChanges = (saved, incoming) => {
+  const byKey = (items) => new Map((items || []).map((i) => [String(i.itemId || i.name), i]));
+  const savedItems = byKey(saved?.items);
+  const incomingItems = byKey(incoming.items);
+  const changes = [];
+  new Set([...savedItems.keys(), ...incomingItems.keys()]).forEach((key) => {
+    const pick = (i) => (i ? { name: i.name, price: i.price, pieces: i.pieces } : null);
+    const before = pick(savedItems.get(key));
+    const yours = pick(incomingItems.get(key));
+    if (JSON.stringify(before) !== JSON.stringify(yours)) {
+      changes.push({ field: "items", item: (before ?? yours).name, saved: before, yours });
+    }
+  });
+  ["totalExpense", "retails", "selectedItems"].forEach((field) => {
+    if (JSON.stringify(saved?.[field] ?? null) !== JSON.stringify(incoming[field] ?? null)) {
+      changes.push({ field, saved: saved?.[field] ?? null, yours: incoming[field] ?? null });
+    }
+  });
+  return changes;
+};
+
+// --- List Queries ---
+// One query contract for list routes:
+//   ?from=&to=            date range (yyyy-MM-dd) on `date`
+//   ?salesmanId=&...      exact filters (each route lists the fields it allows)
+//   ?sort=date,-qty       sort keys ("-" = descending) from the route's allowed list; _id breaks ties
+//   ?limit=50&cursor=     page size (max 500) and the `nextCursor` of the previous page
+// With `limit` the answer is { data, total, limit, nextCursor, hasMore } (search routes keep their
+// own key instead of `data`); without it the whole list is returned as before.
+const LIST_MAX_LIMIT = 500;
+
+// Helper: text usable inside a RegExp as plain characters
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper: read the list contract from a query string, returns { error } or
+// { filter, sort: [[field, 1|-1]...], limit, after } (`after` = sort values of the last row of the previous page).
+// Cursors are Extended JSON, so dates and ObjectIds come back with their own types.
+function parseListQuery(query, { filters = [], sortFields = [], defaultSort = "-_id", dateRange = true } = {}) {
+  const filter = {};
+  filters.forEach((field) => {
+    if (query[field] !== undefined && query[field] !== "") filter[field] = String(query[field]);
+  });
+  if (dateRange && (query.from || query.to)) {
+    const from = query.from ? toDateKey(query.from) : null;
+    const to = query.to ? toDateKey(query.to) : null;
+    if ((query.from && !from) || (query.to && !to)) return { error: "Invalid from/to date" };
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+
+  const sort = [];
+  for (const key of String(query.sort || defaultSort).split(",").filter(Boolean)) {
+    const field = key.replace(/^-/, "");
+    if (field !== "_id" && !sortFields.includes(field)) {
+      return { error: `sort must use: ${[...sortFields, "_id"].join(", ")}` };
+    }
+    sort.push([field, key.startsWith("-") ? -1 : 1]);
+  }
+  if (!sort.some(([field]) => field === "_id")) sort.push(["_id", sort[0]?.[1] ?? -1]);
+
+  let limit = null;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return { error: "limit must be a positive whole number" };
+    limit = Math.min(limit, LIST_MAX_LIMIT);
+  }
+  let after = null;
+  if (query.cursor) {
+    try {
+      after = BSON.EJSON.parse(Buffer.from(String(query.cursor), "base64url").toString("utf8"), { relaxed: true });
+    } catch {
+      return { error: "Invalid cursor" };
+    }
+    if (!Array.isArray(after) || after.length !== sort.length) return { error: "Invalid cursor" };
+  }
+  return { filter, sort, limit, after };
+}
+
+// Helper: condition for rows after the cursor in sort order (a, then b when a ties, ...).
+// Null and missing values sort before everything else, and $gt/$lt never match them.
+function cursorFilter(sort, after) {
+  const beyond = (field, dir, value) => {
+    if (value === null) return dir === 1 ? { [field]: { $ne: null } } : null;
+    const cond = { [field]: { [dir === 1 ? "$gt" : "$lt"]: value } };
+    return dir === 1 ? cond : { $or: [cond, { [field]: null }] };
+  };
+  return {
+    $or: sort.flatMap(([field, dir], i) => {
+      const next = beyond(field, dir, after[i]);
+      if (!next) return [];
+      const cond = {};
+      sort.slice(0, i).forEach(([f], j) => { cond[f] = after[j]; });
+      return [{ ...cond, ...next }];
+    }),
+  };
+}
+
+// Helper: run a parsed list query on a collection; `baseFilter` holds the route's own conditions
+async function findList(collection, baseFilter, { filter, sort, limit, after }) {
+  // The route's own conditions (branch, a salesman's own rows) win over query filters
+  const query = { ...filter, ...baseFilter };
+  const sortDoc = Object.fromEntries(sort);
+  if (!limit) return { data: await collection.find(query).sort(sortDoc).toArray() };
+  const pageQuery = after ? { $and: [query, cursorFilter(sort, after)] } : query;
+  const rows = await collection.find(pageQuery).sort(sortDoc).limit(limit + 1).toArray();
+  const data = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  const last = data[data.length - 1];
+  return {
+    data,
+    total: await collection.countDocuments(query),
+    limit,
+    nextCursor: hasMore
+      ? Buffer.from(BSON.EJSON.stringify(sort.map(([field]) => last[field] ?? null), { relaxed: true })).toString("base64url")
+      : null,
+    hasMore,
+  };
+}
+
+// Helper: the answer of a list route (plain array without `limit`, page object with it)
+const listBody = (result, key = "data") => {
+  if (result.total === undefined) return key === "data" ? result.data : { [key]: result.data };
+  const { data, ...page } = result;
+  return { [key]: data, ...page };
+};
+
+// --- Archive & References ---
+// Items, ingredients and salesmen are archived (soft delete) by default: hidden from lists
+// but kept for history. `?permanent=true` removes them for good only when nothing refers to them.
+
+// Helper: hide archived documents unless ?includeArchived=true
+const activeFilter = (req) => (req.query.includeArchived === "true" ? {} : { archived: { $ne: true } });
+
+// Helper: an id may be stored as string or ObjectId in older documents
+const idValues = (id) => (ObjectId.isValid(String(id)) ? [String(id), new ObjectId(String(id))] : [String(id)]);
+
+// Helper: count documents that still refer to an item / ingredient / salesman
+const referenceCounters = {
+  items: async (item) => {
+    const ids = { $in: idValues(item._id) };
+    return {
+      salesmanOrders: await salesmanOrdersCollection.countDocuments({ itemId: ids }),
+      salesmanDayOrders: await salesmanDayOrdersCollection.countDocuments({ "salesman.itemId": ids }),
+      salesmanReturns: await salesmanReturnsCollection.countDocuments({ itemId: ids }),
+      ghorerMal: await ghorerMalCollection.countDocuments({ itemId: ids }),
+      retailSales: await retailSalesCollection.countDocuments({ "items.itemId": ids }),
+      dailyUsage: await usageCollection.countDocuments({
+        $or: [{ "items.itemId": ids }, { items: { $elemMatch: { name: item.name, itemId: { $exists: false } } } }],
+      }),
+    };
+  },
+  ingredients: async (ing) => {
+    const ids = { $in: idValues(ing._id) };
+    return {
+      recipes: await recipesCollection.countDocuments({ "ingredients.ingredientId": ids }),
+      stockLedger: await stockLedgerCollection.countDocuments({ ingredientId: ids }),
+    };
+  },
+  salesmen: async (sm) => {
+    const ids = { $in: idValues(sm._id) };
+    return {
+      salesmanOrders: await salesmanOrdersCollection.countDocuments({ salesmanId: ids }),
+      salesmanDayOrders: await salesmanDayOrdersCollection.countDocuments({ "salesman.salesmanId": ids }),
+      dailySales: await dailySalesCollection.countDocuments({ salesmanId: ids }),
+      salesmanPayments: await salesmanPaymentsCollection.countDocuments({ salesmanId: ids }),
+      salesmanReturns: await salesmanReturnsCollection.countDocuments({ salesmanId: ids }),
+      users: await usersCollection.countDocuments({ salesmanId: ids }),
+      commissionRules: await commissionRulesCollection.countDocuments({ salesmanId: ids }),
+      salesmanAdvances: await salesmanAdvancesCollection.countDocuments({ salesmanId: ids }),
+      settlements: await settlementsCollection.countDocuments({ salesmanId: ids }),
+    };
+  },
+  customers: async (customer) => {
+    const ids = { $in: idValues(customer._id) };
+    return {
+      retailSales: await retailSalesCollection.countDocuments({ customerId: ids }),
+      customerPayments: await customerPaymentsCollection.countDocuments({ customerId: ids }),
+    };
+  },
+};
+
+// Helper: DELETE handler - archive, or permanent delete when unreferenced
+const removeHandler = (entity, label) => async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid id" });
+    const collection = auditedCollection(entity);
+    const before = await collection.findOne({ _id: new ObjectId(id) });
+    if (!before) return res.status(404).json({ error: `${label} not found` });
+
+    if (req.query.permanent !== "true") {
+      await collection.updateOne(
+        { _id: before._id },
+        { $set: { archived: true, archivedAt: new Date(), archivedBy: req.user.email } }
+      );
+      await audit(req, { entity, before, after: await collection.findOne({ _id: before._id }), action: "archive" });
+      return res.json({ archivedCount: 1 });
+    }
+
+    const references = await referenceCounters[entity](before);
+    if (Object.values(references).some((n) => n > 0)) {
+      return res.status(409).json({ error: `${label} is still referenced, archive it instead`, references });
+    }
+    const result = await runTransaction(async (session) => {
+      // Nothing historical refers to it: its own setup data goes with it
+      if (entity === "items") {
+        for (const [setupEntity, filter] of [["recipes", { itemId: id }], ["priceHistory", { scope: "item", itemId: id }]]) {
+          const setupCollection = auditedCollection(setupEntity);
+          const docs = await setupCollection.find(filter, { session }).toArray();
+          if (!docs.length) continue;
+          await setupCollection.deleteMany(filter, { session });
+          await audit(req, { entity: setupEntity, kind: "docs", entityId: `item:${id}`, before: docs, after: [] }, session);
+        }
+      }
+      const deleted = await collection.deleteOne({ _id: before._id }, { session });
+      await audit(req, { entity, before }, session);
+      return deleted;
+    });
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: `Failed to delete ${label.toLowerCase()}` });
+  }
+};
+
+// Helper: bring an archived document back into lists
+const unarchiveHandler = (entity, label) => async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid id" });
+    const collection = auditedCollection(entity);
+    const before = await collection.findOne({ _id: new ObjectId(id) });
+    if (!before) return res.status(404).json({ error: `${label} not found` });
+    const result = await collection.updateOne(
+      { _id: before._id },
+      { $set: { archived: false }, $unset: { archivedAt: "", archivedBy: "" } }
+    );
+    await audit(req, { entity, before, after: await collection.findOne({ _id: before._id }), action: "unarchive" });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: `Failed to unarchive ${label.toLowerCase()}` });
+  }
+};
+
+// Helper: give usage items the id of the item they name (kept when the item is renamed later)
+const attachItemIds = (usageItems, dbItems) =>
+  usageItems.map((item) => {
+    if (item.itemId) return { ...item, itemId: String(item.itemId) };
+    const dbItem = dbItems.find((i) => i.name === item.name);
+    return dbItem ? { ...item, itemId: String(dbItem._id) } : item;
+  });
+
 // POST - Save Daily Usage
-app.post("/usage", async (req, res) => {
+app.post("/usage", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
   try {
     const data = req.body;
     const dateKey = toDateKey(data.date);
-    await usageCollection.deleteMany({ date: dateKey });
+    // Prices in effect on this date fill any price the sheet left blank
+    const priceBook = await getPriceBook(dateKey, req.branch);
 
     // --- Merge pieces into items array ---
     let itemsArr = [];
@@ -107,188 +1182,288 @@ app.post("/usage", async (req, res) => {
       }
     } else {
       // fallback: fetch all items from db
-      const dbItems = await itemsCollection.find({}).sort({ _id: -1 }).toArray();
+      const dbItems = await itemsCollection
+        .find({ archived: { $ne: true }, ...sharedOrOwn(req.branch) })
+        .sort({ _id: -1 })
+        .toArray();
       itemsArr = dbItems.map((i, idx) => ({
         name: i.name,
-        price: i.price ?? "",
+        price: priceBook.itemPrice(i),
         pieces: Array.isArray(data.pieces) ? data.pieces[idx] ?? "" : "",
       }));
     }
+    itemsArr = itemsArr.map((item) =>
+      item.price === "" || item.price === undefined || item.price === null
+        ? { ...item, price: priceBook.itemPriceByName(item.name) }
+        : item
+    );
+    // Store the item id next to the name so renames never break old reports
+    itemsArr = attachItemIds(itemsArr, priceBook.items);
 
     // Save retails array if present
-    const doc = { ...data, date: dateKey, items: itemsArr };
-    if (!doc.retails) doc.retails = [];
+    const input = { ...data, branch: req.branch, date: dateKey, items: itemsArr };
+    if (!input.retails) input.retails = [];
     // Remove pieces array from doc (no need to store separately)
-    delete doc.pieces;
-    if (!doc.selectedItems) doc.selectedItems = [];
-    const result = await usageCollection.insertOne(doc);
-    res.status(201).json({ insertedId: result.insertedId });
+    delete input.pieces;
+    delete input.prices;
+    delete input._id;
+    delete input.revision;
+    if (!input.selectedItems) input.selectedItems = [];
+    let doc;
+    try {
+      doc = await parseBody(DailyUsage, input);
+    } catch (err) {
+      if (isValidationError(err)) return res.status(400).json(validationErrorBody(err));
+      throw err;
+    }
+    // Saves must be based on the latest revision (see Revisions)
+    const baseRevision = parseRevision(data.revision);
+    if (baseRevision === null) return res.status(400).json({ error: "revision required (from GET /api/usage/:date)" });
+    // Check, replace and bump run in one transaction, so saves from another server instance cannot interleave
+    const { closed, result } = await withOpenDays(req.branch, [dateKey], { keys: [`usage:${req.branch}:${dateKey}`] }, () =>
+      runTransaction(async (session) => {
+        const current = await getRevision("dailyUsage", req.branch, dateKey, session);
+        const before = await usageCollection.find({ branch: req.branch, date: dateKey }, { session }).toArray();
+        if (baseRevision !== current.revision) {
+          return {
+            conflict: conflictBody("Usage sheet was changed by someone else", current, baseRevision, usageChanges(before[0], doc)),
+          };
+        }
+        const filter = { branch: req.branch, date: dateKey };
+        await usageCollection.deleteMany(filter, { session });
+        const { insertedId } = await usageCollection.insertOne(doc, { session });
+        const revision = await bumpRevision("dailyUsage", req.branch, dateKey, req.user, session);
+        await audit(req, { entity: "dailyUsage", kind: "set", entityId: dateKey, filter, before, after: [doc] }, session);
+        // Ingredient consumption of this day goes to the stock ledger with the sheet
+        await postUsageConsumption(req, { ...doc, _id: insertedId }, session);
+        return { insertedId, revision };
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    if (result.conflict) return res.status(409).json(result.conflict);
+    const io = req.app.get("io");
+    res.status(201).json({ insertedId: result.insertedId, revision: result.revision });
 
     // --- Emit socket event to all clients ---
-    const io = req.app.get("io");
-    io.emit("usage-updated", { date: dateKey });
+    io.emit("usage-updated", { branch: req.branch, date: dateKey, revision: result.revision });
   } catch (error) {
     res.status(500).json({ error: "Failed to insert data" });
   }
 });
 
 // GET - Get Usage by Date
-app.get("/api/usage/:date", async (req, res) => {
+app.get("/api/usage/:date", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
   try {
     const dateKey = toDateKey(req.params.date);
-    const result = await usageCollection.findOne({ date: dateKey });
+    const result = await usageCollection.findOne({ branch: req.branch, date: dateKey });
+    // Prices as they were on this date
+    const priceBook = await getPriceBook(dateKey, req.branch);
+    const { revision } = await getRevision("dailyUsage", req.branch, dateKey);
+    res.set("X-Revision", String(revision));
     if (!result) {
       // Return empty usage data instead of 404
-      const dbItems = await itemsCollection.find({}).sort({ _id: -1 }).toArray();
+      const dbItems = await itemsCollection
+        .find({ archived: { $ne: true }, ...sharedOrOwn(req.branch) })
+        .sort({ _id: -1 })
+        .toArray();
       return res.json({
         items: dbItems.map(i => ({
           name: i.name,
-          price: i.price ?? "",
+          price: priceBook.itemPrice(i),
           pieces: "",
         })),
-        prices: dbItems.map(i => i.price ?? ""),
+        prices: dbItems.map(i => priceBook.itemPrice(i)),
         retails: [],
-        totalExpense: "0",
+        totalExpense: 0,
         selectedItems: [],
+        revision,
       });
     }
-    // Ensure items are objects with pieces
+    // Stored items are { name, itemId, price, pieces } (see migrations/001)
     let itemsArr = [];
     if (Array.isArray(result.items) && result.items.length > 0) {
-      if (typeof result.items[0] === "string") {
-        // Convert to objects
-        itemsArr = result.items.map((name, idx) => ({
-          name,
-          price: Array.isArray(result.prices) ? result.prices[idx] ?? "" : "",
-          pieces: Array.isArray(result.pieces) ? result.pieces[idx] ?? "" : "",
-        }));
-      } else if (typeof result.items[0] === "object") {
-        itemsArr = result.items.map((item, idx) => ({
-          ...item,
-          pieces: item.pieces ?? (Array.isArray(result.pieces) ? result.pieces[idx] ?? "" : ""),
-        }));
-      }
+      itemsArr = result.items;
     } else {
       // fallback: fetch all items from db
-      const dbItems = await itemsCollection.find({}).sort({ _id: -1 }).toArray();
+      const dbItems = await itemsCollection
+        .find({ archived: { $ne: true }, ...sharedOrOwn(req.branch) })
+        .sort({ _id: -1 })
+        .toArray();
       itemsArr = dbItems.map((i, idx) => ({
         name: i.name,
-        price: i.price ?? "",
+        price: priceBook.itemPrice(i),
         pieces: "",
       }));
     }
     res.json({
       items: itemsArr,
-      prices: result.prices || [],
+      prices: itemsArr.map((i) => i.price),
       retails: result.retails || [],
-      totalExpense: result.totalExpense || "0",
+      totalExpense: result.totalExpense || 0,
       selectedItems: result.selectedItems || [],
+      revision,
     });
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch data" });
   }
 });
 
-// GET - All Usage (with filter: day/week/month, using moment)
-app.get("/api/usage", async (req, res) => {
-  try {
-    const filter = req.query.filter || "day";
-    const usages = await usageCollection.find({}).sort({ _id: -1 }).toArray();
+// Helper: usage totals per period of [from, to] (either may be null), oldest first.
+// Grouping runs in MongoDB on yyyy-MM-dd dates (older spellings are rewritten by migrations/001).
+async function aggregateUsage(branch, { from, to, groupBy }) {
+  const match = { branch, date: { $regex: /^\d{4}-\d{2}-\d{2}$/ } };
+  if (from) match.date.$gte = from;
+  if (to) match.date.$lte = to;
+  const num = (field) => ({ $convert: { input: field, to: "double", onError: 0, onNull: 0 } });
+  const day = { $dateFromString: { dateString: "$date", format: "%Y-%m-%d" } };
+  // Same keys as getPeriod: the date, the Saturday the week starts on, yyyy-MM or yyyy
+  const periodKey = {
+    day: "$date",
+    // $dayOfWeek: Sunday 1 ... Saturday 7, so (dayOfWeek % 7) days back is Saturday
+    week: {
+      $dateToString: {
+        format: "%Y-%m-%d",
+        date: { $subtract: [day, { $multiply: [{ $mod: [{ $dayOfWeek: day }, 7] }, 24 * 60 * 60 * 1000] }] },
+      },
+    },
+    month: { $substrCP: ["$date", 0, 7] },
+    year: { $substrCP: ["$date", 0, 4] },
+  }[groupBy];
 
-    if (filter === "day") {
-      return res.json(usages);
-    }
+  const base = [{ $match: match }, { $addFields: { period: periodKey } }];
+  const [result] = await usageCollection
+    .aggregate([
+      ...base,
+      {
+        $facet: {
+          periods: [
+            {
+              $group: {
+                _id: "$period",
+                days: { $sum: 1 },
+                totalExpense: { $sum: num("$totalExpense") },
+              },
+            },
+          ],
+          items: [
+            { $unwind: "$items" },
+            {
+              $group: {
+                _id: { period: "$period", item: { $ifNull: ["$items.itemId", "$items.name"] } },
+                itemId: { $first: "$items.itemId" },
+                name: { $last: "$items.name" },
+                pieces: { $sum: num("$items.pieces") },
+                totalKg: { $sum: num("$items.totalKg") },
+                value: { $sum: { $multiply: [num("$items.pieces"), num("$items.price")] } },
+              },
+            },
+            { $sort: { name: 1 } },
+          ],
+        },
+      },
+    ])
+    .toArray();
 
-    const grouped = {};
-    usages.forEach((u) => {
-      let m = moment(u.date, [
-        "YYYY-MM-DD",
-        "YYYY/MM/DD",
-        "YYYY-MM-DD dddd",
-        "YYYY/MM/DD dddd",
-        "LL dddd",
-        "LL",
-        "l",
-        "dddd, D MMMM YYYY",
-        "D MMMM YYYY",
-      ], "bn", true);
-      if (!m.isValid()) {
-        m = moment(new Date(u.date.replace(/[^\d-]/g, "-")));
-      }
-      if (!m.isValid()) {
-        console.warn("Invalid date for usage entry:", u.date);
-        return;
-      }
+  const round = (n) => Number(n.toFixed(2));
+  const periods = {};
+  result.periods.forEach((p) => {
+    // yyyy and yyyy-MM keys become the first day of the period
+    const { key, label, start, end } = getPeriod(p._id.padEnd(10, "-01"), groupBy);
+    periods[p._id] = {
+      key,
+      label,
+      // Older clients read the label from `date`
+      date: label,
+      start,
+      end,
+      days: p.days,
+      items: [],
+      totalPieces: 0,
+      totalKg: 0,
+      totalValue: 0,
+      totalExpense: round(p.totalExpense),
+      retails: [],
+    };
+  });
+  // Retail rows come from a pipeline of their own, one row at a time: pushed into the $facet
+  // result they could take it past MongoDB's 16 MB document limit
+  const retails = usageCollection.aggregate([
+    ...base,
+    { $sort: { date: 1, _id: 1 } },
+    { $unwind: "$retails" },
+    { $project: { _id: 0, period: 1, retail: "$retails" } },
+  ]);
+  for await (const r of retails) periods[r.period]?.retails.push(r.retail);
+  result.items.forEach((i) => {
+    const period = periods[i._id.period];
+    period.items.push({ itemId: i.itemId ?? null, name: i.name, pieces: round(i.pieces), totalKg: round(i.totalKg), value: round(i.value) });
+    period.totalPieces += i.pieces;
+    period.totalKg += i.totalKg;
+    period.totalValue += i.value;
+  });
+  return Object.values(periods)
+    .map((p) => ({ ...p, totalPieces: round(p.totalPieces), totalKg: round(p.totalKg), totalValue: round(p.totalValue) }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
 
-      let key, label;
-      if (filter === "week") {
-        // Find previous Saturday (start of week)
-        const start = m.clone().day(6); // Saturday
-        if (m.day() < 6) start.subtract(7, "days"); // If before Saturday, go to last week's Saturday
-        const end = start.clone().add(6, "days"); // Friday
-
-        // Format: শনি-শুক্র (DD/MM/YYYY - DD/MM/YYYY)
-        label = `শনি-শুক্র (${start.format("DD/MM/YYYY")} - ${end.format("DD/MM/YYYY")})`;
-        key = start.format("YYYY-MM-DD"); // Use start date as key
-      } else if (filter === "month") {
-        label = `${m.year()}-${m.month() + 1}মাস`;
-        key = label;
-      }
+// GET - All Usage. Without groupBy (or ?filter=day) the saved sheets are listed (list contract, see List Queries).
+// ?groupBy=day|week|month|year (or the older ?filter=week|month) returns per-period totals
+// for ?from/to, newest first unless ?sort=key.
+app.get("/api/usage", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || req.query.filter || "day";
+    if (!PERIOD_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${PERIOD_GROUPS.join(", ")}` });
+    }
 
-      if (!grouped[key]) {
-        grouped[key] = {
-          date: label,
-          items: [],
-          totalExpense: 0,
-        };
-      }
-      u.items.forEach((item) => {
-        const idx = grouped[key].items.findIndex((i) => i.name === item.name);
-        if (idx > -1) {
-          grouped[key].items[idx].totalKg = (
-            parseFloat(grouped[key].items[idx].totalKg) + parseFloat(item.totalKg)
-          ).toFixed(2);
-        } else {
-          grouped[key].items.push({ ...item });
-        }
-      });
-      grouped[key].totalExpense += parseFloat(u.totalExpense);
-    });
+    if (!req.query.groupBy && groupBy === "day") {
+      const list = parseListQuery(req.query, { sortFields: ["date", "totalExpense"], defaultSort: "-_id" });
+      if (list.error) return res.status(400).json({ error: list.error });
+      return res.json(listBody(await findList(usageCollection, { branch: req.branch }, list)));
+    }
 
-    Object.values(grouped).forEach((g) => {
-      g.totalExpense = g.totalExpense.toFixed(2);
-    });
+    const from = req.query.from ? toDateKey(req.query.from) : null;
+    const to = req.query.to ? toDateKey(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) return res.status(400).json({ error: "Invalid from/to date" });
+    if (from && to && from > to) return res.status(400).json({ error: "from must not be after to" });
+    const sort = req.query.sort || "-key";
+    if (!["key", "-key"].includes(sort)) return res.status(400).json({ error: "sort must be key or -key" });
 
-    return res.json(Object.values(grouped));
+    const periods = await aggregateUsage(req.branch, { from, to, groupBy });
+    res.json(sort === "key" ? periods : periods.reverse());
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch usages" });
   }
 });
 
 // --- Items API ---
-app.get("/api/items", async (req, res) => {
+app.get("/api/items", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
+    const list = parseListQuery(req.query, { filters: ["category"], sortFields: ["name", "price"], defaultSort: "_id", dateRange: false });
+    if (list.error) return res.status(400).json({ error: list.error });
     const { search } = req.query;
-    let query = {};
+    let query = { ...activeFilter(req), ...sharedOrOwn(req.branch) };
     if (search) {
-      query = { name: { $regex: search, $options: "i" } };
+      query = { ...query, name: { $regex: escapeRegex(search), $options: "i" } };
     }
-    // Change sort to ascending (_id: 1)
-    const items = await itemsCollection.find(query).sort({ _id: 1 }).toArray();
+    const result = await findList(itemsCollection, query, list);
     // Ensure price field exists
-    items.forEach((item) => { if (item.price === undefined) item.price = ""; });
-    res.json(items);
+    result.data.forEach((item) => { if (item.price === undefined) item.price = ""; });
+    res.json(listBody(result));
   } catch {
     res.status(500).json({ error: "Failed to fetch items" });
   }
 });
-app.post("/api/items", async (req, res) => {
+app.post("/api/items", verifyToken, verifyRole("admin", "manager"), validateBody(Item), async (req, res) => {
   try {
-    const { name, price, category } = req.body;
+    const { name, price, category, branch } = req.body;
     if (!name) return res.status(400).json({ error: "Name required" });
+    if (branch && !canAccessBranch(req.user, branch)) return res.status(403).json({ error: "No access to this branch" });
     const exists = await itemsCollection.findOne({ name });
     if (exists) return res.status(409).json({ error: "Already exists" });
-    const result = await itemsCollection.insertOne({ name, price: price || "", category: category || "" });
+    const doc = { name, price, category, branch };
+    const result = await itemsCollection.insertOne(doc);
+    await audit(req, { entity: "items", after: doc });
     res.status(201).json({ insertedId: result.insertedId });
   } catch {
     res.status(500).json({ error: "Failed to add item" });
@@ -296,28 +1471,32 @@ app.post("/api/items", async (req, res) => {
 });
 
 // --- Ingredients API ---
-app.get("/api/ingredients", async (req, res) => {
+app.get("/api/ingredients", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
   try {
+    const list = parseListQuery(req.query, { sortFields: ["name", "price"], defaultSort: "_id", dateRange: false });
+    if (list.error) return res.status(400).json({ error: list.error });
     const { search } = req.query;
-    let query = {};
+    let query = activeFilter(req);
     if (search) {
-      query = { name: { $regex: search, $options: "i" } };
+      query = { ...query, name: { $regex: escapeRegex(search), $options: "i" } };
     }
-    // Change sort to ascending (_id: 1)
-    const ingredients = await ingredientsCollection.find(query).sort({ _id: 1 }).toArray();
-    ingredients.forEach((ing) => { if (ing.price === undefined) ing.price = ""; });
-    res.json(ingredients);
+    const result = await findList(ingredientsCollection, query, list);
+    result.data.forEach((ing) => { if (ing.price === undefined) ing.price = ""; });
+    res.json(listBody(result));
   } catch {
     res.status(500).json({ error: "Failed to fetch ingredients" });
   }
 });
-app.post("/api/ingredients", async (req, res) => {
+app.post("/api/ingredients", verifyToken, verifyRole("admin", "manager"), validateBody(Ingredient), async (req, res) => {
   try {
-    const { name, price } = req.body;
+    const { name, price, reorderLevel } = req.body;
     if (!name) return res.status(400).json({ error: "Name required" });
     const exists = await ingredientsCollection.findOne({ name });
     if (exists) return res.status(409).json({ error: "Already exists" });
-    const result = await ingredientsCollection.insertOne({ name, price: price || "" });
+    const doc = { name, price };
+    if (reorderLevel !== undefined) doc.reorderLevel = reorderLevel;
+    const result = await ingredientsCollection.insertOne(doc);
+    await audit(req, { entity: "ingredients", after: doc });
     res.status(201).json({ insertedId: result.insertedId });
   } catch {
     res.status(500).json({ error: "Failed to add ingredient" });
@@ -325,19 +1504,16 @@ app.post("/api/ingredients", async (req, res) => {
 });
 
 // --- Users API ---
-// Save user (upsert by email)
-app.post("/api/users", async (req, res) => {
+// Save own profile (role can only be changed by an admin, see below)
+app.post("/api/users", verifyToken, async (req, res) => {
   try {
-    const { displayName, photoURL, email, role } = req.body;
-    console.log("Received user data:", req.body); // <-- লগ করুন
-    if (!email) return res.status(400).json({ error: "Email required" });
-    const userDoc = { displayName, photoURL, email, role: role || "user" };
-    const result = await usersCollection.updateOne(
-      { email },
-      { $set: userDoc },
-      { upsert: true }
-    );
-    console.log("MongoDB upsert result:", result); // <-- লগ করুন
+    const { displayName, photoURL } = req.body;
+    const userDoc = {};
+    if (displayName !== undefined) userDoc.displayName = displayName;
+    if (photoURL !== undefined) userDoc.photoURL = photoURL;
+    const before = await usersCollection.findOne({ _id: req.user._id });
+    await usersCollection.updateOne({ _id: req.user._id }, { $set: userDoc });
+    await audit(req, { entity: "users", before, after: await usersCollection.findOne({ _id: req.user._id }) });
     res.status(201).json({ message: "User saved" });
   } catch (err) {
     console.error("❌ Failed to save user:", err); // <-- এরর লগ করুন
@@ -345,117 +1521,243 @@ app.post("/api/users", async (req, res) => {
   }
 });
 
-// Get user by email
-app.get("/api/users/:email", async (req, res) => {
+// Get all users (admin only)
+app.get("/api/users", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const users = await usersCollection.find({}).sort({ _id: 1 }).toArray();
+    users.forEach((u) => { u.role = normalizeRole(u.role); });
+    res.json(users);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// Get user by email (self or admin)
+app.get("/api/users/:email", verifyToken, async (req, res) => {
   try {
-    const email = req.params.email;
+    const email = req.params.email.toLowerCase();
+    if (req.user.role !== "admin" && email !== req.user.email) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
     const user = await usersCollection.findOne({ email });
     if (!user) return res.status(200).json({});
+    user.role = normalizeRole(user.role);
     res.json(user);
   } catch {
     res.status(500).json({ error: "Failed to fetch user" });
   }
 });
 
-// --- Manage Items & Ingredients API ---
-// Get all items and ingredients together
-app.get("/api/manage", async (req, res) => {
+// Set role (and linked salesman for salesman users, branches the user works in) - admin only
+app.put("/api/users/:email/role", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    // Change sort to ascending (_id: 1)
-    const items = await itemsCollection.find({}).sort({ _id: 1 }).toArray();
-    const ingredients = await ingredientsCollection.find({}).sort({ _id: 1 }).toArray();
-    items.forEach((item) => { if (item.price === undefined) item.price = ""; });
-    ingredients.forEach((ing) => { if (ing.price === undefined) ing.price = ""; });
-    res.json({ items, ingredients });
-  } catch {
-    res.status(500).json({ error: "Failed to fetch data" });
+    const email = req.params.email.toLowerCase();
+    const { role, salesmanId, disabled, branches } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+    }
+    if (role === "salesman" && !salesmanId) {
+      return res.status(400).json({ error: "salesmanId required for salesman role" });
+    }
+    const updateDoc = { role, salesmanId: role === "salesman" ? String(salesmanId) : null };
+    if (disabled !== undefined) updateDoc.disabled = Boolean(disabled);
+    if (branches !== undefined) {
+      if (!Array.isArray(branches) || branches.some((b) => b !== "*" && !BRANCH_CODE_RE.test(b))) {
+        return res.status(400).json({ error: 'branches must be a list of branch codes or ["*"]' });
+      }
+      const codes = branches.filter((b) => b !== "*" && b !== DEFAULT_BRANCH);
+      const known = await branchesCollection.countDocuments({ code: { $in: codes } });
+      if (known !== new Set(codes).size) return res.status(400).json({ error: "Unknown branch in branches" });
+      updateDoc.branches = [...new Set(branches)];
+    }
+    const before = await usersCollection.findOne({ email });
+    if (!before) return res.status(404).json({ error: "User not found" });
+    const result = await usersCollection.updateOne({ email }, { $set: updateDoc });
+    await audit(req, { entity: "users", before, after: await usersCollection.findOne({ email }) });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
+
+// --- Branches API ---
+// Get branches the user can work in (?archived=true includes archived ones)
+app.get("/api/branches", verifyToken, async (req, res) => {
+  try {
+    const query = req.query.archived === "true" ? {} : { archived: { $ne: true } };
+    const branches = (await branchesCollection.find(query).sort({ code: 1 }).toArray()).filter((b) =>
+      canAccessBranch(req.user, b.code)
+    );
+    res.json(branches);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch branches" });
+  }
+});
+
+// Add a branch (admin only)
+app.post("/api/branches", verifyToken, verifyRole("admin"), validateBody(Branch), async (req, res) => {
+  try {
+    const { code, name, address, phone } = req.body;
+    const exists = await branchesCollection.findOne({ code });
+    if (exists) return res.status(409).json({ error: "Already exists" });
+    const doc = { code, name, address, phone, archived: false, createdAt: new Date() };
+    const result = await branchesCollection.insertOne(doc);
+    await audit(req, { entity: "branches", after: doc });
+    res.status(201).json({ insertedId: result.insertedId });
+  } catch {
+    res.status(500).json({ error: "Failed to add branch" });
+  }
+});
+
+// Update a branch (admin only). The code is fixed: documents refer to it.
+app.put("/api/branches/:id", verifyToken, verifyRole("admin"), validateBody(Branch, { partial: true }), async (req, res) => {
+  try {
+    const { code, name, address, phone, archived } = req.body;
+    const before = await branchesCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!before) return res.status(404).json({ error: "Branch not found" });
+    if (code !== undefined && code !== before.code) return res.status(400).json({ error: "code cannot be changed" });
+    if (archived && before.code === DEFAULT_BRANCH) {
+      return res.status(400).json({ error: "The default branch cannot be archived" });
+    }
+    const updateDoc = {};
+    if (name !== undefined) updateDoc.name = name;
+    if (address !== undefined) updateDoc.address = address;
+    if (phone !== undefined) updateDoc.phone = phone;
+    if (archived !== undefined) updateDoc.archived = Boolean(archived);
+    const result = await branchesCollection.updateOne({ _id: before._id }, { $set: updateDoc });
+    await audit(req, { entity: "branches", before, after: await branchesCollection.findOne({ _id: before._id }) });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to update branch" });
+  }
+});
+
+// --- Manage Items & Ingredients API ---
+// Get all items and ingredients together
+app.get("/api/manage", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    // Change sort to ascending (_id: 1)
+    const items = await itemsCollection.find({ ...activeFilter(req), ...sharedOrOwn(req.branch) }).sort({ _id: 1 }).toArray();
+    const ingredients = await ingredientsCollection.find(activeFilter(req)).sort({ _id: 1 }).toArray();
+    items.forEach((item) => { if (item.price === undefined) item.price = ""; });
+    ingredients.forEach((ing) => { if (ing.price === undefined) ing.price = ""; });
+    res.json({ items, ingredients });
+  } catch {
+    res.status(500).json({ error: "Failed to fetch data" });
   }
 });
 
 // Update item by id
-app.put("/api/items/:id", async (req, res) => {
+app.put("/api/items/:id", verifyToken, verifyRole("admin", "manager"), validateBody(Item, { partial: true }), async (req, res) => {
   try {
-    const { name, price, category } = req.body;
+    const { name, price, category, branch } = req.body;
     const id = req.params.id;
     if (!name) return res.status(400).json({ error: "Name required" });
+    if (branch && !canAccessBranch(req.user, branch)) return res.status(403).json({ error: "No access to this branch" });
     const updateDoc = { name };
     if (price !== undefined) updateDoc.price = price;
     if (category !== undefined) updateDoc.category = category;
+    if (branch !== undefined) updateDoc.branch = branch;
+    // Items owned by another branch cannot be edited from this one
+    const item = await itemsCollection.findOne({ _id: new ObjectId(id), ...sharedOrOwn(req.branch) });
+    if (!item) return res.status(404).json({ error: "Item not found" });
+    // Keep old price for past dates: record the change in price history from today
+    if (price !== undefined && price !== "" && String(price) !== String(item.price ?? "")) {
+      await recordPrice(req, {
+        scope: "item",
+        itemId: id,
+        price,
+        effectiveFrom: moment().format("YYYY-MM-DD"),
+        previousPrice: item.price,
+      });
+    }
+    // Renaming: pin the id onto usage rows that still refer to the old name. A branch item only
+    // owns its branch's rows; a shared item all rows except those of branches with an own item of that name.
+    if (name !== item.name) {
+      const scope = item.branch
+        ? { branch: item.branch }
+        : { branch: { $nin: await itemsCollection.distinct("branch", { name: item.name, branch: { $ne: null } }) } };
+      await usageCollection.updateMany(
+        { ...scope, items: { $elemMatch: { name: item.name, itemId: { $exists: false } } } },
+        { $set: { "items.$[el].itemId": String(item._id) } },
+        { arrayFilters: [{ "el.name": item.name, "el.itemId": { $exists: false } }] }
+      );
+    }
     const result = await itemsCollection.updateOne(
-      { _id: new ObjectId(id) },
+      { _id: item._id },
       { $set: updateDoc }
     );
+    await audit(req, { entity: "items", before: item, after: await itemsCollection.findOne({ _id: item._id }) });
     res.json({ modifiedCount: result.modifiedCount });
   } catch {
     res.status(500).json({ error: "Failed to update item" });
   }
 });
 
-// Delete item by id
-app.delete("/api/items/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const result = await itemsCollection.deleteOne({ _id: new ObjectId(id) });
-    res.json({ deletedCount: result.deletedCount });
-  } catch {
-    res.status(500).json({ error: "Failed to delete item" });
-  }
-});
+// Delete item by id (archive; ?permanent=true deletes when unreferenced)
+app.delete("/api/items/:id", verifyToken, verifyRole("admin"), removeHandler("items", "Item"));
+
+// Unarchive item by id
+app.post("/api/items/:id/unarchive", verifyToken, verifyRole("admin"), unarchiveHandler("items", "Item"));
 
 // Update ingredient by id
-app.put("/api/ingredients/:id", async (req, res) => {
+app.put("/api/ingredients/:id", verifyToken, verifyRole("admin", "manager"), validateBody(Ingredient, { partial: true }), async (req, res) => {
   try {
-    const { name, price } = req.body;
+    const { name, price, reorderLevel } = req.body;
     const id = req.params.id;
     if (!name) return res.status(400).json({ error: "Name required" });
     const updateDoc = { name };
     if (price !== undefined) updateDoc.price = price;
+    if (reorderLevel !== undefined) updateDoc.reorderLevel = reorderLevel;
+    const before = await ingredientsCollection.findOne({ _id: new ObjectId(id) });
     const result = await ingredientsCollection.updateOne(
       { _id: new ObjectId(id) },
       { $set: updateDoc }
     );
+    if (before) {
+      await audit(req, { entity: "ingredients", before, after: await ingredientsCollection.findOne({ _id: before._id }) });
+    }
     res.json({ modifiedCount: result.modifiedCount });
   } catch {
     res.status(500).json({ error: "Failed to update ingredient" });
   }
 });
 
-// Delete ingredient by id
-app.delete("/api/ingredients/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const result = await ingredientsCollection.deleteOne({ _id: new ObjectId(id) });
-    res.json({ deletedCount: result.deletedCount });
-  } catch {
-    res.status(500).json({ error: "Failed to delete ingredient" });
-  }
-});
+// Delete ingredient by id (archive; ?permanent=true deletes when unreferenced)
+app.delete("/api/ingredients/:id", verifyToken, verifyRole("admin"), removeHandler("ingredients", "Ingredient"));
+
+// Unarchive ingredient by id
+app.post("/api/ingredients/:id/unarchive", verifyToken, verifyRole("admin"), unarchiveHandler("ingredients", "Ingredient"));
 
 // --- Salesmen API ---
 // Get all salesmen
-app.get("/api/salesmen", async (req, res) => {
+app.get("/api/salesmen", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
+    const list = parseListQuery(req.query, { sortFields: ["name"], defaultSort: "_id", dateRange: false });
+    if (list.error) return res.status(400).json({ error: list.error });
     const { search } = req.query;
-    let query = {};
+    let query = { ...activeFilter(req), ...sharedOrOwn(req.branch) };
     if (search) {
-      query = { name: { $regex: search, $options: "i" } };
+      query = { ...query, name: { $regex: escapeRegex(search), $options: "i" } };
     }
-    const salesmen = await salesmenCollection.find(query).sort({ _id: 1 }).toArray();
-    res.json(salesmen);
+    res.json(listBody(await findList(salesmenCollection, query, list)));
   } catch {
     res.status(500).json({ error: "Failed to fetch salesmen" });
   }
 });
 
 // Add a new salesman
-app.post("/api/salesmen", async (req, res) => {
+app.post("/api/salesmen", verifyToken, verifyRole("admin", "manager"), validateBody(Salesman), async (req, res) => {
   try {
-    const { name, phone } = req.body;
+    const { name, phone, branch, deductDueFromCommission } = req.body;
     if (!name) return res.status(400).json({ error: "Name required" });
+    if (branch && !canAccessBranch(req.user, branch)) return res.status(403).json({ error: "No access to this branch" });
     const exists = await salesmenCollection.findOne({ name });
     if (exists) return res.status(409).json({ error: "Already exists" });
     // phone can be empty or undefined, always save as string (even if empty)
-    const result = await salesmenCollection.insertOne({ name, phone: phone ? phone : "" });
+    const doc = { name, phone: phone ? phone : "", branch, deductDueFromCommission };
+    const result = await salesmenCollection.insertOne(doc);
+    await audit(req, { entity: "salesmen", after: doc });
     res.status(201).json({ insertedId: result.insertedId });
   } catch {
     res.status(500).json({ error: "Failed to add salesman" });
@@ -463,76 +1765,100 @@ app.post("/api/salesmen", async (req, res) => {
 });
 
 // Update salesman by id
-app.put("/api/salesmen/:id", async (req, res) => {
+app.put("/api/salesmen/:id", verifyToken, verifyRole("admin", "manager"), validateBody(Salesman, { partial: true }), async (req, res) => {
   try {
-    const { name, phone } = req.body;
+    const { name, phone, branch, deductDueFromCommission } = req.body;
     const id = req.params.id;
     if (!name) return res.status(400).json({ error: "Name required" });
+    if (branch && !canAccessBranch(req.user, branch)) return res.status(403).json({ error: "No access to this branch" });
     const updateDoc = { name };
     if (phone !== undefined) updateDoc.phone = phone;
     else updateDoc.phone = "";
+    if (branch !== undefined) updateDoc.branch = branch;
+    if (deductDueFromCommission !== undefined) updateDoc.deductDueFromCommission = deductDueFromCommission;
+    const before = await salesmenCollection.findOne({ _id: new ObjectId(id), ...sharedOrOwn(req.branch) });
+    if (!before) return res.status(404).json({ error: "Salesman not found" });
     const result = await salesmenCollection.updateOne(
-      { _id: new ObjectId(id) },
+      { _id: before._id },
       { $set: updateDoc }
     );
+    await audit(req, { entity: "salesmen", before, after: await salesmenCollection.findOne({ _id: before._id }) });
     res.json({ modifiedCount: result.modifiedCount });
   } catch {
     res.status(500).json({ error: "Failed to update salesman" });
   }
 });
 
-// Delete salesman by id
-app.delete("/api/salesmen/:id", async (req, res) => {
-  try {
-    const id = req.params.id;
-    const result = await salesmenCollection.deleteOne({ _id: new ObjectId(id) });
-    res.json({ deletedCount: result.deletedCount });
-  } catch {
-    res.status(500).json({ error: "Failed to delete salesman" });
-  }
-});
+// Delete salesman by id (archive; ?permanent=true deletes when unreferenced)
+app.delete("/api/salesmen/:id", verifyToken, verifyRole("admin"), removeHandler("salesmen", "Salesman"));
+
+// Unarchive salesman by id
+app.post("/api/salesmen/:id/unarchive", verifyToken, verifyRole("admin"), unarchiveHandler("salesmen", "Salesman"));
 
 // --- Salesman Orders API ---
 // Each order: { salesmanId, itemId, qty, date }
-// Get orders for a specific date (or all if no date)
-app.get("/api/salesman-orders", async (req, res) => {
+// Get orders for a specific date (or all if no date; list contract, see List Queries)
+app.get("/api/salesman-orders", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
+    const list = parseListQuery(req.query, {
+      filters: ["salesmanId", "itemId"],
+      sortFields: ["date", "qty", "salesmanId", "itemId"],
+      defaultSort: "_id",
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
     const { date } = req.query;
-    let query = {};
+    let query = { branch: req.branch };
     if (date) query.date = date;
-    const orders = await salesmanOrdersCollection.find(query).toArray();
-    res.json(orders);
+    if (req.user.role === "salesman") query.salesmanId = req.user.salesmanId;
+    res.json(listBody(await findList(salesmanOrdersCollection, query, list)));
   } catch {
     res.status(500).json({ error: "Failed to fetch orders" });
   }
 });
 
 // Add or update a salesman order (upsert by salesmanId, itemId, date)
-app.post("/api/salesman-orders", async (req, res) => {
+// (handler list shared with POST /api/sync)
+const saveSalesmanOrder = [verifyRole("admin", "manager", "salesman"), validateBody(SalesmanOrder), async (req, res) => {
   try {
     const { salesmanId, itemId, qty, date } = req.body;
     if (!salesmanId || !itemId || !date) {
       return res.status(400).json({ error: "salesmanId, itemId, date required" });
     }
-    const filter = { salesmanId, itemId, date };
-    const update = { $set: { salesmanId, itemId, qty, date } };
-    const result = await salesmanOrdersCollection.updateOne(filter, update, { upsert: true });
+    if (!isOwnSalesman(req, salesmanId)) return res.status(403).json({ error: "Forbidden" });
+    const filter = { branch: req.branch, salesmanId, itemId, date };
+    const update = { $set: { ...filter, qty } };
+    const { closed, result } = await withOpenDays(req.branch, [date], {}, async () => {
+      const before = await salesmanOrdersCollection.findOne(filter);
+      const saved = await salesmanOrdersCollection.updateOne(filter, update, { upsert: true });
+      await audit(req, { entity: "salesmanOrders", before, after: await salesmanOrdersCollection.findOne(filter) });
+      return saved;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
     res.status(201).json({ upserted: result.upsertedId, modified: result.modifiedCount });
   } catch {
     res.status(500).json({ error: "Failed to save order" });
   }
-});
+}];
+app.post("/api/salesman-orders", verifyToken, ...saveSalesmanOrder);
 
 // Update order quantity (by _id)
-app.put("/api/salesman-orders/:id", async (req, res) => {
+app.put("/api/salesman-orders/:id", verifyToken, verifyRole("admin", "manager", "salesman"), validateBody(SalesmanOrder, { partial: true }), async (req, res) => {
   try {
     const id = req.params.id;
     const { qty } = req.body;
     if (qty === undefined) return res.status(400).json({ error: "qty required" });
-    const result = await salesmanOrdersCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { qty } }
-    );
+    const order = await salesmanOrdersCollection.findOne({ _id: new ObjectId(id), branch: req.branch });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (!isOwnSalesman(req, order.salesmanId)) return res.status(403).json({ error: "Forbidden" });
+    const { closed, result } = await withOpenDays(req.branch, [order.date], {}, async () => {
+      const saved = await salesmanOrdersCollection.updateOne(
+        { _id: order._id },
+        { $set: { qty } }
+      );
+      await audit(req, { entity: "salesmanOrders", before: order, after: await salesmanOrdersCollection.findOne({ _id: order._id }) });
+      return saved;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
     res.json({ modifiedCount: result.modifiedCount });
   } catch {
     res.status(500).json({ error: "Failed to update order" });
@@ -541,41 +1867,51 @@ app.put("/api/salesman-orders/:id", async (req, res) => {
 
 // --- Ghorer Mal API ---
 // Each entry: { itemId, date, qty }
-app.get("/api/ghorer-mal", async (req, res) => {
+app.get("/api/ghorer-mal", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
+    const list = parseListQuery(req.query, { filters: ["itemId"], sortFields: ["date", "qty", "itemId"], defaultSort: "_id" });
+    if (list.error) return res.status(400).json({ error: list.error });
     const { date } = req.query;
-    let query = {};
+    let query = { branch: req.branch };
     if (date) query.date = date;
-    const data = await client.db("mahiBakery").collection("ghorerMal").find(query).toArray();
-    res.json(data);
+    res.json(listBody(await findList(ghorerMalCollection, query, list)));
   } catch {
     res.status(500).json({ error: "Failed to fetch ghorer mal" });
   }
 });
 
-// Save or update ghorer mal for an item and date
-app.post("/api/ghorer-mal", async (req, res) => {
+// Save or update ghorer mal for an item and date (handler list shared with POST /api/sync)
+const saveGhorerMal = [verifyRole("admin", "manager"), validateBody(GhorerMal), async (req, res) => {
   try {
     const { itemId, qty, date } = req.body;
     if (!itemId || !date) return res.status(400).json({ error: "itemId, date required" });
-    const filter = { itemId, date };
-    const update = { $set: { itemId, qty, date } };
-    const result = await client.db("mahiBakery").collection("ghorerMal").updateOne(filter, update, { upsert: true });
+    const filter = { branch: req.branch, itemId, date };
+    const update = { $set: { ...filter, qty } };
+    const { closed, result } = await withOpenDays(req.branch, [date], {}, async () => {
+      const before = await ghorerMalCollection.findOne(filter);
+      const saved = await ghorerMalCollection.updateOne(filter, update, { upsert: true });
+      await audit(req, { entity: "ghorerMal", before, after: await ghorerMalCollection.findOne(filter) });
+      return saved;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
     res.status(201).json({ upserted: result.upsertedId, modified: result.modifiedCount });
   } catch {
     res.status(500).json({ error: "Failed to save ghorer mal" });
   }
-});
+}];
+app.post("/api/ghorer-mal", verifyToken, ...saveGhorerMal);
 
 // --- Daily Summary API ---
 // Get daily summary: all salesman orders and ghorer mal for a date
-app.get("/api/salesman-summary/:date", async (req, res) => {
+app.get("/api/salesman-summary/:date", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
     const date = req.params.date;
-    // All orders for this date
-    const orders = await salesmanOrdersCollection.find({ date }).toArray();
+    // All orders for this date (salesman users see only their own)
+    const orders = (await salesmanOrdersCollection.find({ branch: req.branch, date }).toArray()).filter((o) =>
+      isOwnSalesman(req, o.salesmanId)
+    );
     // All ghorer mal for this date
-    const ghorerMal = await client.db("mahiBakery").collection("ghorerMal").find({ date }).toArray();
+    const ghorerMal = await ghorerMalCollection.find({ branch: req.branch, date }).toArray();
     res.json({ orders, ghorerMal });
   } catch {
     res.status(500).json({ error: "Failed to fetch summary" });
@@ -584,23 +1920,30 @@ app.get("/api/salesman-summary/:date", async (req, res) => {
 
 // --- Salesman Day Orders Summary API ---
 // Save or update daily summary with new structure
-app.post("/api/salesman-day-orders", async (req, res) => {
+app.post("/api/salesman-day-orders", verifyToken, verifyRole("admin", "manager"), validateBody(SalesmanDayOrder), async (req, res) => {
   try {
     const { date, salesman, ghorerMalTotal, motPcsTotal } = req.body;
     if (!date || !Array.isArray(salesman)) {
       return res.status(400).json({ error: "date and salesman array required" });
     }
     // salesman: array of { salesmanId, itemId, qty }
-    const filter = { date };
+    const filter = { branch: req.branch, date };
     const update = {
       $set: {
+        branch: req.branch,
         date,
         salesman, // array of { salesmanId, itemId, qty }
         ghorerMalTotal: ghorerMalTotal || 0,
         motPcsTotal: motPcsTotal || 0,
       },
     };
-    const result = await salesmanDayOrdersCollection.updateOne(filter, update, { upsert: true });
+    const { closed, result } = await withOpenDays(req.branch, [date], {}, async () => {
+      const before = await salesmanDayOrdersCollection.findOne(filter);
+      const saved = await salesmanDayOrdersCollection.updateOne(filter, update, { upsert: true });
+      await audit(req, { entity: "salesmanDayOrders", before, after: await salesmanDayOrdersCollection.findOne(filter) });
+      return saved;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
     res.status(201).json({ upserted: result.upsertedId, modified: result.modifiedCount });
   } catch {
     res.status(500).json({ error: "Failed to save daily summary" });
@@ -608,10 +1951,10 @@ app.post("/api/salesman-day-orders", async (req, res) => {
 });
 
 // Get daily summary by date (returns structure as described)
-app.get("/api/salesman-day-orders/:date", async (req, res) => {
+app.get("/api/salesman-day-orders/:date", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
     const date = req.params.date;
-    const doc = await salesmanDayOrdersCollection.findOne({ date });
+    const doc = await salesmanDayOrdersCollection.findOne({ branch: req.branch, date });
     if (!doc) {
       return res.status(200).json({
         _id: null,
@@ -621,114 +1964,458 @@ app.get("/api/salesman-day-orders/:date", async (req, res) => {
         motPcsTotal: 0,
       });
     }
+    if (Array.isArray(doc.salesman)) {
+      doc.salesman = doc.salesman.filter((s) => isOwnSalesman(req, s.salesmanId));
+    }
     res.json(doc);
   } catch {
     res.status(500).json({ error: "Failed to fetch daily summary" });
   }
 });
 
-// Get all daily summaries
-app.get("/api/salesman-day-orders", async (req, res) => {
+// Get all daily summaries (list contract, see List Queries)
+app.get("/api/salesman-day-orders", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
-    const docs = await salesmanDayOrdersCollection.find({}).sort({ date: -1 }).toArray();
-    res.json(docs);
+    const list = parseListQuery(req.query, { sortFields: ["date"], defaultSort: "-date" });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const result = await findList(salesmanDayOrdersCollection, { branch: req.branch }, list);
+    result.data.forEach((doc) => {
+      if (Array.isArray(doc.salesman)) {
+        doc.salesman = doc.salesman.filter((s) => isOwnSalesman(req, s.salesmanId));
+      }
+    });
+    res.json(listBody(result));
   } catch {
     res.status(500).json({ error: "Failed to fetch daily summaries" });
   }
 });
 
+// --- Salesman Returns API ---
+// Each return: { salesmanId, itemId, date, qty, condition, note, createdBy, createdAt }
+// condition: "resellable" (back on the shelf) or "waste". One entry per salesman, item, date and condition.
+// Net sold = dispatched - returned, priced like the daily sale sheet (category price).
+
+// Helper: dispatched, returned and net sold per salesman for a branch and date.
+// Dispatched is the day's summary sheet (salesmanDayOrders) once saved, else the salesman orders.
+async function getNetSales(branch, date, salesmanId) {
+  const dayOrder = await salesmanDayOrdersCollection.findOne({ branch, date });
+  const dispatched =
+    Array.isArray(dayOrder?.salesman) && dayOrder.salesman.length
+      ? dayOrder.salesman
+      : await salesmanOrdersCollection.find({ branch, date }).toArray();
+  const returns = await salesmanReturnsCollection.find({ branch, date }).toArray();
+  const itemIds = [...new Set([...dispatched, ...returns].map((o) => String(o.itemId)))];
+  const book = await getPriceBook(date, branch, { itemIds });
+  const itemMap = new Map(book.items.map((i) => [String(i._id), i]));
+
+  const bySalesman = {};
+  const row = (sid, itemId) => {
+    const items = (bySalesman[String(sid)] ||= {});
+    if (!items[itemId]) {
+      const item = itemMap.get(String(itemId));
+      items[itemId] = {
+        itemId: String(itemId),
+        name: item?.name ?? "",
+        category: item?.category ?? "",
+        // Items without a category (or a category without price history) are sold at their own price
+        price: Number(item ? (item.category ? book.categoryPrice(item.category) : null) ?? book.itemPrice(item) : 0) || 0,
+        dispatched: 0,
+        resellable: 0,
+        waste: 0,
+      };
+    }
+    return items[itemId];
+  };
+  dispatched.forEach((o) => { row(o.salesmanId, o.itemId).dispatched += Number(o.qty) || 0; });
+  returns.forEach((r) => { row(r.salesmanId, r.itemId)[r.condition] += Number(r.qty) || 0; });
+
+  return Object.entries(bySalesman)
+    .filter(([sid]) => !salesmanId || sid === String(salesmanId))
+    .map(([sid, items]) => {
+      const list = Object.values(items).map(({ price, ...i }) => {
+        const returned = i.resellable + i.waste;
+        return { ...i, returned, netQty: Math.max(i.dispatched - returned, 0), price };
+      });
+      // Same shape as dailySales.categories
+      const categories = {};
+      list.forEach((i) => {
+        const key = i.category || i.name;
+        const c = (categories[key] ||= { category: key, qty: 0, price: i.price, total: 0 });
+        c.qty += i.netQty;
+        c.total = Number((c.qty * c.price).toFixed(2));
+      });
+      const sold = Object.values(categories).filter((c) => c.qty > 0);
+      return {
+        salesmanId: sid,
+        date,
+        items: list,
+        categories: sold,
+        totalAmount: Number(sold.reduce((sum, c) => sum + c.total, 0).toFixed(2)),
+      };
+    });
+}
+
+// Get returns (filter: date, salesmanId, itemId, condition; list contract, see List Queries)
+app.get("/api/salesman-returns", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      filters: ["salesmanId", "itemId", "condition"],
+      sortFields: ["date", "qty", "salesmanId", "itemId"],
+      defaultSort: "-date",
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const { date } = req.query;
+    const query = { branch: req.branch };
+    if (date) query.date = date;
+    if (req.user.role === "salesman") query.salesmanId = req.user.salesmanId;
+    res.json(listBody(await findList(salesmanReturnsCollection, query, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch returns" });
+  }
+});
+
+// Add or update a return (upsert by salesmanId, itemId, date, condition; handler list shared with POST /api/sync)
+const saveReturn = [verifyRole("admin", "manager", "salesman"), validateBody(SalesmanReturn), async (req, res) => {
+  try {
+    const { salesmanId, itemId, date, qty, condition, note } = req.body;
+    if (!isOwnSalesman(req, salesmanId)) return res.status(403).json({ error: "Forbidden" });
+    const filter = { branch: req.branch, salesmanId, itemId, date, condition };
+    const update = {
+      $set: { ...filter, qty, note, updatedBy: req.user.email, updatedAt: new Date() },
+      $setOnInsert: { createdBy: req.user.email, createdAt: new Date() },
+    };
+    // Returns of one salesman and date are saved one at a time, so the check below sees the others
+    const keys = [`returns:${req.branch}:${salesmanId}:${date}`];
+    const { closed, result } = await withOpenDays(req.branch, [date], { keys }, async () => {
+      // Cannot return more than went out that morning
+      const [net] = await getNetSales(req.branch, date, salesmanId);
+      const line = net?.items.find((i) => i.itemId === itemId);
+      const otherReturned = line ? line.returned - line[condition] : 0;
+      const dispatched = line?.dispatched ?? 0;
+      if (otherReturned + qty > dispatched) return { overDispatched: dispatched };
+      const before = await salesmanReturnsCollection.findOne(filter);
+      const saved = await salesmanReturnsCollection.updateOne(filter, update, { upsert: true });
+      await audit(req, { entity: "salesmanReturns", before, after: await salesmanReturnsCollection.findOne(filter) });
+      return saved;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
+    if (result.overDispatched !== undefined) {
+      return res.status(400).json({ error: `Returned quantity is more than dispatched (${result.overDispatched})` });
+    }
+    res.status(201).json({ upserted: result.upsertedId, modified: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to save return" });
+  }
+}];
+app.post("/api/salesman-returns", verifyToken, ...saveReturn);
+
+// Delete a return
+app.delete("/api/salesman-returns/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const before = await salesmanReturnsCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Return not found" });
+    const { closed, result } = await withOpenDays(req.branch, [before.date], {}, async () => {
+      const deleted = await salesmanReturnsCollection.deleteOne({ _id: before._id });
+      await audit(req, { entity: "salesmanReturns", before });
+      return deleted;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to delete return" });
+  }
+});
+
+// GET - Net sold per salesman for a date (dispatched - returned, with daily sale categories)
+app.get("/api/salesman-returns/net/:date", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const date = toDateKey(req.params.date);
+    if (!date) return res.status(400).json({ error: "Invalid date" });
+    const salesmanId = req.user.role === "salesman" ? req.user.salesmanId : req.query.salesmanId;
+    res.json(await getNetSales(req.branch, date, salesmanId));
+  } catch {
+    res.status(500).json({ error: "Failed to compute net sales" });
+  }
+});
+
 // --- Daily Sale API ---
 // Add POST /api/daily-sale endpoint for saving daily sales by date
-app.post("/api/daily-sale", async (req, res) => {
+// The whole save (replace rows, payment sync, due re-chain) runs in one transaction,
+// serialized per date and per salesman.
+// mode "replace" (default): `sales` is the whole sheet and `revision` the sheet revision it was read at.
+// mode "merge": `sales` holds only the edited rows, each with the row `revision` it was read at;
+// other salesmen's rows are left alone, so people editing different salesmen do not collide.
+app.post("/api/daily-sale", verifyToken, verifyRole("admin", "manager"), validateBody(DailySaleSheet), async (req, res) => {
   try {
-    const { date, sales } = req.body;
+    const { date, sales, mode } = req.body;
     if (!date || !Array.isArray(sales)) {
       return res.status(400).json({ error: "date and sales array required" });
     }
-    // Remove previous entries for this date
-    await dailySalesCollection.deleteMany({ date });
-    // Insert all sales, including selectedCategories for each salesman
-    await dailySalesCollection.insertMany(
-      sales.map((sale) => ({
-        ...sale,
-        date,
-        selectedCategories: Array.isArray(sale.selectedCategories) ? sale.selectedCategories : [],
-      }))
-    );
-
-    // --- রিয়েলটাইম ফিউচার ডিউ আপডেট ---
-    // প্রতিটি সেলসম্যানের জন্য, এই তারিখের পরবর্তী সব দিনের prevDue, totalDue, currDue আপডেট করুন
-    const uniqueSalesmen = [...new Set(sales.map((s) => s.salesmanId))];
-    for (const salesmanId of uniqueSalesmen) {
-      await recalculateFutureDues(salesmanId, date);
+    if (sales.some((s) => !s.salesmanId)) {
+      return res.status(400).json({ error: "salesmanId required for every sale" });
+    }
+    const baseRevision = parseRevision(req.body.revision);
+    if (mode === "replace" && baseRevision === null) {
+      return res.status(400).json({ error: "revision required (from GET /api/daily-sale/:date)" });
     }
+    // Salesmen already saved on this date are re-chained too, even if dropped from the sheet
+    const { branch } = req;
+    const existingIds = (await dailySalesCollection.distinct("salesmanId", { branch, date })).map(String);
+    const salesmanIds = [...new Set(sales.map((s) => String(s.salesmanId)))];
+    const allIds = mode === "merge" ? salesmanIds : [...new Set([...existingIds, ...salesmanIds])];
+    const priceBook = await getPriceBook(date, branch, { itemIds: [] });
+
+    const keys = [`daily-sale:${branch}:${date}`, ...allIds.map((id) => `dues:${branch}:${id}`)];
+    const { closed, result } = await withOpenDays(branch, [date], { dues: true, keys }, () =>
+      runTransaction(async (session) => {
+        const current = await getRevision("dailySales", branch, date, session);
+        const scope = mode === "merge" ? { branch, date, salesmanId: { $in: salesmanIds } } : { branch, date };
+        const before = await dailySalesCollection.find(scope, { session }).toArray();
+        const savedRows = new Map(before.map((r) => [String(r.salesmanId), r]));
+        // Replace entries for this date (or only the merged rows), including selectedCategories for each salesman
+        const rows = sales.map(({ _id, ...sale }) => ({
+          // Rows get fresh ids: an _id echoed back by the client is not trusted
+          ...sale,
+          branch,
+          salesmanId: String(sale.salesmanId),
+          date,
+          categories: priceCategories(sale.categories, priceBook),
+          selectedCategories: Array.isArray(sale.selectedCategories) ? sale.selectedCategories : [],
+        }));
+
+        if (mode === "replace" && baseRevision !== current.revision) {
+          return {
+            conflict: conflictBody("Daily sale was changed by someone else", current, baseRevision, dailySaleChanges(before, rows)),
+          };
+        }
+        if (mode === "merge") {
+          const stale = rows.filter((r) => (Number(r.revision) || 0) !== (Number(savedRows.get(r.salesmanId)?.revision) || 0));
+          if (stale.length) {
+            const staleIds = stale.map((r) => r.salesmanId);
+            const changes = dailySaleChanges(before.filter((r) => staleIds.includes(String(r.salesmanId))), stale);
+            return { conflict: conflictBody("Some rows were changed by someone else", current, baseRevision, changes) };
+          }
+        }
+
+        // A row's revision goes up only when its content changed
+        rows.forEach((row) => {
+          const saved = savedRows.get(row.salesmanId);
+          const revision = Number(saved?.revision) || 0;
+          row.revision = dailySaleChanges(saved ? [saved] : [], [row]).length ? revision + 1 : revision;
+        });
+        await dailySalesCollection.deleteMany(scope, { session });
+        if (rows.length) await dailySalesCollection.insertMany(rows, { session });
+
+        // --- রিয়েলটাইম ফিউচার ডিউ আপডেট ---
+        await settleDailySaleDay(branch, date, allIds, sales, req.user, session);
+        const revision = await bumpRevision("dailySales", branch, date, req.user, session);
+        const after = await dailySalesCollection.find(scope, { session }).toArray();
+        await audit(req, { entity: "dailySales", kind: "set", entityId: date, filter: scope, before, after }, session);
+        return { revision };
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    if (result.conflict) return res.status(409).json(result.conflict);
 
     // --- Emit socket event to all clients ---
     const io = req.app.get("io");
-    io.emit("daily-sale-updated", { date });
+    io.emit("daily-sale-updated", { branch, date, revision: result.revision });
 
-    res.status(201).json({ message: "Daily sales saved" });
+    res.status(201).json({ message: "Daily sales saved", revision: result.revision });
   } catch (err) {
+    console.error("❌ Failed to save daily sales:", err);
     res.status(500).json({ error: "Failed to save daily sales" });
   }
 });
 
-// Helper: recalculate all future daily sales for a salesman after a given date
-async function recalculateFutureDues(salesmanId, fromDate) {
+// Helper: after a date's rows were replaced, sync each salesman's sheet deposit with the
+// payment ledger and re-chain dues from that day on (one bulk write per salesman).
+// A salesman dropped from the sheet keeps only the manual payments of that day.
+async function settleDailySaleDay(branch, date, salesmanIds, sales, user, session) {
+  for (const salesmanId of salesmanIds) {
+    const sale = sales.find((s) => String(s.salesmanId) === salesmanId);
+    if (sale) {
+      const deposit = await syncSheetDeposit(branch, salesmanId, date, sale.deposit, user, session);
+      if (deposit !== (Number(sale.deposit) || 0)) {
+        await dailySalesCollection.updateOne({ branch, salesmanId, date }, { $set: { deposit } }, { session });
+      }
+      await recalculateFutureDues(branch, salesmanId, shiftDateKey(date, -1), session);
+    } else {
+      const deposit = await syncSheetDeposit(branch, salesmanId, date, 0, user, session);
+      if (deposit > 0) await applyPaymentsToDailySale(branch, salesmanId, date, session);
+      else await recalculateFutureDues(branch, salesmanId, date, session);
+    }
+  }
+}
+
+// Helper: expected prevDue/totalAmount/totalDue/currDue for sales in date order,
+// starting from the given prevDue (retail rows pass their own amount rule)
+const chainDues = (sales, startPrevDue, amountOf = saleAmount) => {
+  let prevDue = Number(startPrevDue) || 0;
+  return sales.map((sale) => {
+    const totalAmount = amountOf(sale);
+    const deposit = Number(sale.deposit) || 0;
+    const totalDue = totalAmount + prevDue;
+    const currDue = totalDue - deposit;
+    const expected = {
+      prevDue: Number(prevDue.toFixed(2)),
+      totalAmount: Number(totalAmount.toFixed(2)),
+      totalDue: Number(totalDue.toFixed(2)),
+      currDue: Number(currDue.toFixed(2)),
+    };
+    prevDue = currDue;
+    return { sale, expected };
+  });
+};
+
+// Helper: recalculate all future daily sales for a salesman after a given date (one bulk write).
+// Dues are chained per branch.
+async function recalculateFutureDues(branch, salesmanId, fromDate, session) {
   // Find all future sales for this salesman, ordered by date ascending
   const futureSales = await dailySalesCollection
-    .find({ salesmanId, date: { $gt: fromDate } })
+    .find({ branch, salesmanId, date: { $gt: fromDate } }, { session })
     .sort({ date: 1 })
     .toArray();
+  if (!futureSales.length) return;
 
   let prevDue = null;
   // Get the currDue of the last saved day (fromDate)
-  const lastDay = await dailySalesCollection.findOne({ salesmanId, date: fromDate });
+  const lastDay = await dailySalesCollection.findOne({ branch, salesmanId, date: fromDate }, { session });
   if (lastDay) {
-    prevDue = lastDay.currDue ?? lastDay.currentDue ?? lastDay.due ?? 0;
+    prevDue = lastDay.currDue ?? 0;
   } else {
     // If not found, get the last known due before fromDate
     const last = await dailySalesCollection
-      .find({ salesmanId, date: { $lt: fromDate } })
+      .find({ branch, salesmanId, date: { $lt: fromDate } }, { session })
       .sort({ date: -1 })
       .limit(1)
       .toArray();
-    prevDue = last[0]?.currDue ?? 0;
+    // Nothing before: the first sheet keeps the due it was opened with
+    prevDue = last.length ? last[0].currDue ?? 0 : futureSales[0].prevDue ?? 0;
   }
 
-  for (const sale of futureSales) {
-    // recalculate prevDue, totalDue, currDue
-    const categories = Array.isArray(sale.categories) ? sale.categories : [];
-    const totalAmount = categories.reduce((sum, c) => sum + (Number(c.total) || 0), 0);
-    const deposit = Number(sale.deposit) || 0;
-    const newPrevDue = Number(prevDue) || 0;
-    const totalDue = totalAmount + newPrevDue;
-    const currDue = totalDue - deposit;
+  const changed = chainDues(futureSales, prevDue).filter(({ sale, expected }) =>
+    Object.keys(expected).some((f) => sale[f] !== expected[f])
+  );
+  if (!changed.length) return;
+  const ops = changed.map(({ sale, expected }) => ({
+    updateOne: { filter: { _id: sale._id }, update: { $set: expected } },
+  }));
+  await dailySalesCollection.bulkWrite(ops, { session, ordered: true });
+  // Clients watching the later dates hear about them once the save has committed
+  const rows = changed.map(({ sale, expected }) => ({ _id: sale._id, date: sale.date, salesmanId, ...expected }));
+  afterCommit(session, () => publishRechain("dailySales", branch, rows, [`salesman:${salesmanId}`]));
+}
 
-    await dailySalesCollection.updateOne(
-      { _id: sale._id },
+// Helper: compare the stored due chain of one salesman; with `req` also fix it (audited as that request)
+async function checkDueChain(branch, salesmanId, req, session) {
+  const repair = !!req;
+  const sales = await dailySalesCollection
+    .find({ branch, salesmanId }, { session })
+    .sort({ date: 1, _id: 1 })
+    .toArray();
+  const seen = new Set();
+  const duplicateDates = [];
+  sales.forEach((s) => {
+    if (seen.has(s.date)) duplicateDates.push(s.date);
+    seen.add(s.date);
+  });
+
+  const mismatches = [];
+  const ops = [];
+  const wrongRows = [];
+  chainDues(sales, sales[0]?.prevDue).forEach(({ sale, expected }) => {
+    const wrong = Object.keys(expected).filter((f) => Number(sale[f]) !== expected[f] || sale[f] === undefined);
+    if (!wrong.length) return;
+    mismatches.push({
+      _id: sale._id,
+      date: sale.date,
+      fields: wrong.map((f) => ({ field: f, stored: sale[f] ?? null, expected: expected[f] })),
+    });
+    ops.push({ updateOne: { filter: { _id: sale._id }, update: { $set: expected } } });
+    wrongRows.push({ before: sale, after: { ...sale, ...expected } });
+  });
+  // Rows on or before a closed date stay as they are (the repair is refused and the date reported)
+  const closed = repair && mismatches.length ? await findBlockingClosedDays(branch, [mismatches[0].date], true, session) : [];
+  const repaired = repair && !closed.length ? ops.length : 0;
+  if (repaired) {
+    await dailySalesCollection.bulkWrite(ops, { session, ordered: true });
+    await audit(
+      req,
       {
-        $set: {
-          prevDue: newPrevDue,
-          totalAmount: Number(totalAmount.toFixed(2)),
-          totalDue: Number(totalDue.toFixed(2)),
-          currDue: Number(currDue.toFixed(2)),
-        },
-      }
+        entity: "dailySales",
+        kind: "docs",
+        entityId: `due-chain:${salesmanId}`,
+        before: wrongRows.map((r) => r.before),
+        after: wrongRows.map((r) => r.after),
+        action: "repair",
+        branch,
+      },
+      session
     );
-    prevDue = currDue;
   }
+  return {
+    branch,
+    salesmanId,
+    rows: sales.length,
+    duplicateDates: [...new Set(duplicateDates)],
+    mismatches,
+    repaired,
+    closed: closedBody(closed).closed,
+  };
 }
 
+// GET - Verify the due chain of the branch (one salesman with ?salesmanId=, or all)
+// POST - Same, and rewrite every wrong row (admin only)
+const dueChainHandler = (repair) => async (req, res) => {
+  try {
+    const { branch } = req;
+    const salesmanId = req.query.salesmanId || req.body?.salesmanId;
+    const ids = salesmanId
+      ? [String(salesmanId)]
+      : (await dailySalesCollection.distinct("salesmanId", { branch })).map(String);
+    const results = [];
+    for (const id of ids) {
+      const result = repair
+        ? await withLocks([`closing:${branch}`, `dues:${branch}:${id}`], () =>
+            runTransaction((session) => checkDueChain(branch, id, req, session))
+          )
+        : await checkDueChain(branch, id, null);
+      results.push(result);
+    }
+    res.json({
+      checked: results.length,
+      broken: results.filter((r) => r.mismatches.length || r.duplicateDates.length).length,
+      repaired: results.reduce((sum, r) => sum + r.repaired, 0),
+      salesmen: results,
+    });
+  } catch (err) {
+    console.error("❌ Failed to check due chain:", err);
+    res.status(500).json({ error: "Failed to check due chain" });
+  }
+};
+app.get("/api/admin/due-chain", verifyToken, verifyRole("admin"), dueChainHandler(false));
+app.post("/api/admin/due-chain/repair", verifyToken, verifyRole("admin"), dueChainHandler(true));
+
 // Keep GET /api/daily-sale/:date for reading only
-app.get("/api/daily-sale/:date", async (req, res) => {
+app.get("/api/daily-sale/:date", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
     const date = req.params.date;
-    // Get all salesmen
-    const allSalesmen = await salesmenCollection.find().toArray();
-
+    const { branch } = req;
     // Get all sales for this date
-    const docs = await dailySalesCollection.find({ date }).toArray();
+    const docs = await dailySalesCollection.find({ branch, date }).toArray();
+    // Sheet revision to send back on save (each row carries its own `revision` for merge saves)
+    const { revision } = await getRevision("dailySales", branch, date);
+    res.set("X-Revision", String(revision));
+
+    // Get all active salesmen (archived ones only if they have a row this day)
+    const soldIds = docs
+      .map((d) => String(d.salesmanId))
+      .filter((id) => ObjectId.isValid(id))
+      .map((id) => new ObjectId(id));
+    const allSalesmen = await salesmenCollection
+      .find({ ...sharedOrOwn(branch), $or: [{ archived: { $ne: true } }, { _id: { $in: soldIds } }] })
+      .toArray();
     const salesMap = {};
     docs.forEach((sale) => {
       salesMap[sale.salesmanId] = sale;
@@ -740,25 +2427,29 @@ app.get("/api/daily-sale/:date", async (req, res) => {
       d.setDate(d.getDate() - 1);
       return d.toISOString().slice(0, 10);
     })();
-    const prevDocs = await dailySalesCollection.find({ date: prevDate }).toArray();
+    const prevDocs = await dailySalesCollection.find({ branch, date: prevDate }).toArray();
     const prevDueMap = {};
     prevDocs.forEach((sale) => {
-      prevDueMap[sale.salesmanId] = sale.currDue ?? sale.currentDue ?? sale.due ?? 0;
+      prevDueMap[sale.salesmanId] = sale.currDue ?? 0;
     });
 
     // Helper: get last known due before current date
     const getLastKnownDue = async (salesmanId) => {
       const last = await dailySalesCollection
-        .find({ salesmanId, date: { $lt: date } })
+        .find({ branch, salesmanId, date: { $lt: date } })
         .sort({ date: -1 })
         .limit(1)
         .toArray();
       return last[0]?.currDue ?? 0;
     };
 
+    // Salesmen without a saved row get their categories prefilled from dispatched - returned
+    const netSales = new Map((await getNetSales(branch, date)).map((n) => [n.salesmanId, n]));
     const finalDocs = [];
 
     for (const sm of allSalesmen) {
+      // Salesman users can read only their own dues
+      if (!isOwnSalesman(req, sm._id)) continue;
       const today = salesMap[sm._id];
       if (today) {
         // If prevDue is missing/empty/zero, fill from prevDueMap
@@ -774,20 +2465,25 @@ app.get("/api/daily-sale/:date", async (req, res) => {
         today.selectedCategories = Array.isArray(today.selectedCategories)
           ? today.selectedCategories
           : [];
+        today.revision = Number(today.revision) || 0;
         finalDocs.push(today);
       } else {
         // No entry for this salesman today: fallback to prev or last known due
         const fallbackDue = prevDueMap[sm._id] ?? (await getLastKnownDue(sm._id));
+        const net = netSales.get(String(sm._id));
+        const totalAmount = net?.totalAmount ?? 0;
         finalDocs.push({
           salesmanId: sm._id,
           date,
-          categories: [],
-          totalAmount: 0,
+          categories: net?.categories ?? [],
+          totalAmount,
           deposit: 0,
           prevDue: fallbackDue,
-          totalDue: fallbackDue,
-          currDue: fallbackDue,
+          totalDue: Number(((Number(fallbackDue) || 0) + totalAmount).toFixed(2)),
+          currDue: Number(((Number(fallbackDue) || 0) + totalAmount).toFixed(2)),
           selectedCategories: [], // <-- default empty
+          prefilled: !!net?.categories.length,
+          revision: 0,
         });
       }
     }
@@ -798,105 +2494,3759 @@ app.get("/api/daily-sale/:date", async (req, res) => {
   }
 });
 
-// --- Items Search API ---
-app.get("/api/items/search", async (req, res) => {
+// --- Salesman Payments API ---
+// Each payment: { branch, salesmanId, date, amount, method, note, receivedBy, source, createdBy, createdAt }
+// source: "manual" (entered here), "daily-sale" (deposit typed on the daily sale sheet)
+// or "commission" (due taken off a paid settlement).
+// The daily sale `deposit` of a day is always the sum of that day's payments.
+
+// Helper: total paid by a salesman on a date (optionally only some sources: a value or a condition)
+async function sumPayments(branch, salesmanId, date, source, session) {
+  const match = { branch, salesmanId: String(salesmanId), date };
+  if (source) match.source = source;
+  const [row] = await salesmanPaymentsCollection
+    .aggregate([{ $match: match }, { $group: { _id: null, total: { $sum: "$amount" } } }], { session })
+    .toArray();
+  return Number((row?.total ?? 0).toFixed(2));
+}
+
+// Helper: record the sheet deposit above the other payments of the day as one "daily-sale" entry.
+// Returns the day's total deposit.
+async function syncSheetDeposit(branch, salesmanId, date, deposit, user, session) {
+  const sid = String(salesmanId);
+  await salesmanPaymentsCollection.deleteMany({ branch, salesmanId: sid, date, source: "daily-sale" }, { session });
+  const manual = await sumPayments(branch, sid, date, { $ne: "daily-sale" }, session);
+  const rest = Number(((Number(deposit) || 0) - manual).toFixed(2));
+  if (rest > 0) {
+    await salesmanPaymentsCollection.insertOne({
+      branch,
+      salesmanId: sid,
+      date,
+      amount: rest,
+      method: "cash",
+      note: "দৈনিক বিক্রয় শীট",
+      receivedBy: user?.email ?? "",
+      source: "daily-sale",
+      createdBy: user?.email ?? "",
+      createdAt: new Date(),
+    }, { session });
+  }
+  return Number((manual + Math.max(rest, 0)).toFixed(2));
+}
+
+// Helper: write the day's payment total into dailySales.deposit and re-chain dues from that day
+async function applyPaymentsToDailySale(branch, salesmanId, date, session) {
+  const sid = String(salesmanId);
+  const deposit = await sumPayments(branch, sid, date, null, session);
+  const sale = await dailySalesCollection.findOne({ branch, salesmanId: sid, date }, { session });
+  if (sale) {
+    await dailySalesCollection.updateOne({ _id: sale._id }, { $set: { deposit } }, { session });
+  } else {
+    // No sale that day: add an empty row so the payment is part of the due chain
+    const last = await dailySalesCollection
+      .find({ branch, salesmanId: sid, date: { $lt: date } }, { session })
+      .sort({ date: -1 })
+      .limit(1)
+      .toArray();
+    const prevDue = Number(last[0]?.currDue) || 0;
+    await dailySalesCollection.insertOne({
+      branch,
+      salesmanId: sid,
+      date,
+      categories: [],
+      selectedCategories: [],
+      totalAmount: 0,
+      deposit,
+      prevDue,
+      totalDue: prevDue,
+      currDue: Number((prevDue - deposit).toFixed(2)),
+    }, { session });
+  }
+  await recalculateFutureDues(branch, sid, shiftDateKey(date, -1), session);
+}
+
+// Helper: amount of one daily sale row (same rule as recalculateFutureDues)
+const saleAmount = (sale) =>
+  (Array.isArray(sale.categories) ? sale.categories : []).reduce((sum, c) => sum + (Number(c.total) || 0), 0);
+
+// Get payments (filter: salesmanId, method, source, date, from, to; list contract, see List Queries)
+app.get("/api/salesman-payments", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
-    const { query } = req.query;
-    let searchQuery = {};
-    if (query) {
-      searchQuery = { name: { $regex: query, $options: "i" } };
-    }
-    // Change sort to ascending (_id: 1)
-    const items = await itemsCollection.find(searchQuery).sort({ _id: 1 }).toArray();
-    items.forEach((item) => { if (item.price === undefined) item.price = ""; });
-    res.json({ items });
+    const list = parseListQuery(req.query, {
+      filters: ["salesmanId", "method", "source"],
+      sortFields: ["date", "createdAt", "amount"],
+      defaultSort: "date,createdAt",
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const { date } = req.query;
+    const query = { branch: req.branch };
+    if (req.user.role === "salesman") query.salesmanId = req.user.salesmanId;
+    if (date) query.date = toDateKey(date);
+    res.json(listBody(await findList(salesmanPaymentsCollection, query, list)));
   } catch {
-    res.status(500).json({ error: "Failed to search items" });
+    res.status(500).json({ error: "Failed to fetch payments" });
   }
 });
 
-// --- Ingredients Search API ---
-app.get("/api/ingredients/search", async (req, res) => {
+// Add a payment (handler list shared with POST /api/sync)
+const addPayment = [verifyRole("admin", "manager"), validateBody(SalesmanPayment), async (req, res) => {
   try {
-    const { query } = req.query;
-    let searchQuery = {};
-    if (query) {
-      searchQuery = { name: { $regex: query, $options: "i" } };
-    }
-    const ingredients = await ingredientsCollection.find(searchQuery).sort({ _id: -1 }).toArray();
-    ingredients.forEach((ing) => { if (ing.price === undefined) ing.price = ""; });
-    res.json({ ingredients });
+    const { salesmanId: sid, date: dateKey, amount, method, note, receivedBy } = req.body;
+    const { branch } = req;
+    const { closed, result } = await withOpenDays(branch, [dateKey], { dues: true, keys: [`dues:${branch}:${sid}`] }, () =>
+      runTransaction(async (session) => {
+        const inserted = await salesmanPaymentsCollection.insertOne({
+          branch,
+          salesmanId: sid,
+          date: dateKey,
+          amount: Number(amount.toFixed(2)),
+          method,
+          note,
+          receivedBy: receivedBy || req.user.email,
+          source: "manual",
+          createdBy: req.user.email,
+          createdAt: new Date(),
+        }, { session });
+        await applyPaymentsToDailySale(branch, sid, dateKey, session);
+        const after = await salesmanPaymentsCollection.findOne({ _id: inserted.insertedId }, { session });
+        await audit(req, { entity: "salesmanPayments", after }, session);
+        return inserted;
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.status(201).json({ insertedId: result.insertedId });
+
+    const io = req.app.get("io");
+    io.emit("daily-sale-updated", { branch: req.branch, date: dateKey });
   } catch {
-    res.status(500).json({ error: "Failed to search ingredients" });
+    res.status(500).json({ error: "Failed to save payment" });
   }
-});
+}];
+app.post("/api/salesman-payments", verifyToken, ...addPayment);
 
-// --- Salesmen Search API ---
-app.get("/api/salesmen/search", async (req, res) => {
+// Delete a payment
+app.delete("/api/salesman-payments/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
   try {
-    const { query } = req.query;
-    let searchQuery = {};
-    if (query) {
-      searchQuery = { name: { $regex: query, $options: "i" } };
-    }
-    const salesmen = await salesmenCollection.find(searchQuery).sort({ _id: 1 }).toArray();
-    res.json({ salesmen });
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid id" });
+    const payment = await salesmanPaymentsCollection.findOne({ _id: new ObjectId(id), branch: req.branch });
+    if (!payment) return res.status(404).json({ error: "Payment not found" });
+    if (payment.source === "commission") return res.status(409).json({ error: "Payment belongs to a paid settlement" });
+    const keys = [`dues:${payment.branch}:${payment.salesmanId}`];
+    const { closed, result } = await withOpenDays(payment.branch, [payment.date], { dues: true, keys }, () =>
+      runTransaction(async (session) => {
+        const deleted = await salesmanPaymentsCollection.deleteOne({ _id: payment._id }, { session });
+        await applyPaymentsToDailySale(payment.branch, payment.salesmanId, payment.date, session);
+        await audit(req, { entity: "salesmanPayments", before: payment }, session);
+        return deleted;
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.json({ deletedCount: result.deletedCount });
+
+    const io = req.app.get("io");
+    io.emit("daily-sale-updated", { branch: payment.branch, date: payment.date });
   } catch {
-    res.status(500).json({ error: "Failed to search salesmen" });
+    res.status(500).json({ error: "Failed to delete payment" });
   }
 });
 
-// --- Categories API ---
-// Get all unique categories from items, with price (first item's price for that category)
-app.get("/api/categories", async (req, res) => {
+// One-time: copy deposits of old daily sale rows (saved before the ledger existed) into the ledger.
+// Rows of closed dates are skipped and counted.
+app.post("/api/salesman-payments/backfill", verifyToken, verifyRole("admin"), async (req, res) => {
   try {
-    const pipeline = [
-      { $match: { category: { $exists: true, $ne: "" } } },
-      {
-        $group: {
-          _id: "$category",
-          price: { $first: "$price" }
+    const branches = (await dailySalesCollection.distinct("branch")).map((b) => b ?? DEFAULT_BRANCH);
+    const result = await withLocks(branches.map((b) => `closing:${b}`), async () => {
+      const closedDays = await closedDaysCollection.find({ closed: true }).toArray();
+      const closedKeys = new Set(closedDays.map((c) => `${c.branch}|${c.date}`));
+      const sales = await dailySalesCollection.find({ deposit: { $gt: 0 } }).toArray();
+      const added = [];
+      let skippedClosed = 0;
+      for (const sale of sales) {
+        if (closedKeys.has(`${sale.branch ?? DEFAULT_BRANCH}|${sale.date}`)) {
+          skippedClosed++;
+          continue;
         }
+        const sid = String(sale.salesmanId);
+        const exists = await salesmanPaymentsCollection.findOne({ branch: sale.branch, salesmanId: sid, date: sale.date });
+        if (exists) continue;
+        const doc = {
+          branch: sale.branch,
+          salesmanId: sid,
+          date: sale.date,
+          amount: Number(Number(sale.deposit).toFixed(2)),
+          method: "cash",
+          note: "দৈনিক বিক্রয় শীট",
+          receivedBy: "",
+          source: "daily-sale",
+          createdBy: req.user.email,
+          createdAt: new Date(),
+        };
+        await salesmanPaymentsCollection.insertOne(doc);
+        added.push(doc);
       }
-      // Remove $sort here, we'll sort manually below
-    ];
-    const categories = await itemsCollection.aggregate(pipeline).toArray();
-    // Format: { category, price }
-    const formatted = categories.map(c => ({ category: c._id, price: c.price ?? "" }));
-
-    // Desired order
-    const desiredOrder = ["কাচা", "বড়", "ট্রে", "পেস্ট্রি"];
-    // Sort by desired order, others go after
-    formatted.sort((a, b) => {
-      const idxA = desiredOrder.indexOf(a.category);
-      const idxB = desiredOrder.indexOf(b.category);
-      if (idxA === -1 && idxB === -1) {
-        return a.category.localeCompare(b.category, "bn");
+      // One audit entry per branch
+      const byBranch = {};
+      added.forEach((doc) => { (byBranch[doc.branch ?? DEFAULT_BRANCH] ||= []).push(doc); });
+      for (const [branch, docs] of Object.entries(byBranch)) {
+        await audit(req, { entity: "salesmanPayments", kind: "docs", entityId: `backfill:${branch}`, before: [], after: docs, action: "backfill", branch });
       }
-      if (idxA === -1) return 1;
-      if (idxB === -1) return -1;
-      return idxA - idxB;
+      return { inserted: added.length, skippedClosed };
     });
-
-    res.json(formatted);
+    res.json(result);
   } catch {
-    res.status(500).json({ error: "Failed to fetch categories" });
+    res.status(500).json({ error: "Failed to backfill payments" });
   }
 });
 
-// Update price for all items in a category
-app.put("/api/categories/:category", async (req, res) => {
+// GET - Running balance statement for a salesman (opening due, sales, payments, closing due)
+app.get("/api/salesmen/:id/statement", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
   try {
-    const category = req.params.category;
-    const { price } = req.body;
-    if (!category) return res.status(400).json({ error: "Category required" });
-    const result = await itemsCollection.updateMany(
-      { category },
-      { $set: { price } }
-    );
-    res.json({ modifiedCount: result.modifiedCount });
-  } catch {
-    res.status(500).json({ error: "Failed to update category price" });
+    const sid = String(req.params.id);
+    if (!isOwnSalesman(req, sid)) return res.status(403).json({ error: "Forbidden" });
+    if (!ObjectId.isValid(sid)) return res.status(400).json({ error: "Invalid id" });
+    const salesman = await salesmenCollection.findOne({ _id: new ObjectId(sid) });
+    if (!salesman) return res.status(404).json({ error: "Salesman not found" });
+
+    const sales = await dailySalesCollection.find({ branch: req.branch, salesmanId: sid }).sort({ date: 1 }).toArray();
+    const payments = await salesmanPaymentsCollection
+      .find({ branch: req.branch, salesmanId: sid })
+      .sort({ date: 1, createdAt: 1 })
+      .toArray();
+    const from = req.query.from ? toDateKey(req.query.from) : sales[0]?.date ?? payments[0]?.date ?? "";
+    const to = req.query.to ? toDateKey(req.query.to) : moment().format("YYYY-MM-DD");
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).json({ error: "Invalid from/to date" });
+    }
+
+    // Due carried in when the first sheet was entered (before any ledger line)
+    const carriedDue = Number(sales[0]?.prevDue) || 0;
+    let balance = carriedDue;
+    sales.filter((s) => s.date < from).forEach((s) => { balance += saleAmount(s); });
+    payments.filter((p) => p.date < from).forEach((p) => { balance -= Number(p.amount) || 0; });
+    const openingDue = Number(balance.toFixed(2));
+
+    // Same day: sale line first, then payments in the order they were received
+    const lines = [];
+    sales
+      .filter((s) => s.date >= from && s.date <= to)
+      .forEach((s) => {
+        const amount = saleAmount(s);
+        if (amount) lines.push({ date: s.date, type: "sale", amount, categories: s.categories || [], order: 0 });
+      });
+    payments
+      .filter((p) => p.date >= from && p.date <= to)
+      .forEach((p) => {
+        lines.push({
+          date: p.date,
+          type: "payment",
+          amount: Number(p.amount) || 0,
+          method: p.method,
+          note: p.note,
+          receivedBy: p.receivedBy,
+          paymentId: p._id,
+          order: 1,
+        });
+      });
+    lines.sort((a, b) => a.date.localeCompare(b.date) || a.order - b.order);
+    lines.forEach((line) => {
+      balance += line.type === "sale" ? line.amount : -line.amount;
+      line.balance = Number(balance.toFixed(2));
+      delete line.order;
+    });
+    const closingDue = Number(balance.toFixed(2));
+
+    // currDue stored on the last sheet in range, to spot a broken chain
+    const lastSheet = [...sales].reverse().find((s) => s.date <= to);
+    const recordedDue = lastSheet ? Number(lastSheet.currDue) || 0 : null;
+    const sumLines = (type) =>
+      Number(lines.filter((l) => l.type === type).reduce((sum, l) => sum + l.amount, 0).toFixed(2));
+
+    res.json({
+      salesman: { _id: salesman._id, name: salesman.name, phone: salesman.phone },
+      branch: req.branch,
+      from,
+      to,
+      openingDue,
+      lines,
+      totalSales: sumLines("sale"),
+      totalPayments: sumLines("payment"),
+      closingDue,
+      recordedDue,
+      matchesRecorded: recordedDue === null || Math.abs(recordedDue - closingDue) < 0.01,
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to build statement" });
+  }
+});
+
+// --- Commission & Settlement ---
+// Commission rule: { branch, salesmanId?, category?, type, rate, effectiveFrom, effectiveTo?, note }
+// type "percent": rate % of a daily sale category total; "perPiece": rate taka per piece sold.
+// For each category line the most specific rule in effect that day wins
+// (salesman + category, then salesman, then category, then the general rule; newer effectiveFrom first).
+// Advance: { branch, salesmanId, date, amount, note, settlementId } - cash given ahead, taken off the next paid settlement.
+// Settlement (one per salesman and month): commission earned - open advances - due deducted = net.
+// A salesman with `deductDueFromCommission` (or a settlement asked with deductDue) has the due outstanding at
+// month end taken off the commission; when the settlement is paid that part is booked as a payment (source "commission").
+// Helper: rule used for one category line, or null
+const pickCommissionRule = (rules, salesmanId, category, date) => {
+  const rank = (r) => (r.salesmanId ? 2 : 0) + (r.category ? 1 : 0);
+  return (
+    rules
+      .filter(
+        (r) =>
+          (!r.salesmanId || r.salesmanId === salesmanId) &&
+          (!r.category || r.category === category) &&
+          r.effectiveFrom <= date &&
+          (!r.effectiveTo || r.effectiveTo >= date)
+      )
+      .sort((a, b) => rank(b) - rank(a) || b.effectiveFrom.localeCompare(a.effectiveFrom))[0] ?? null
+  );
+};
+
+// Helper: commission per category of a salesman's daily sales in [from, to]
+async function computeCommission(branch, salesmanId, from, to) {
+  const [sales, rules] = await Promise.all([
+    dailySalesCollection.find({ branch, salesmanId, date: { $gte: from, $lte: to } }).toArray(),
+    commissionRulesCollection.find({ branch, effectiveFrom: { $lte: to } }).toArray(),
+  ]);
+  const lines = {};
+  sales.forEach((sale) => {
+    (Array.isArray(sale.categories) ? sale.categories : []).forEach((c) => {
+      const category = c.category ?? c.name ?? "";
+      const qty = Number(c.qty) || 0;
+      const amount = Number(c.total) || 0;
+      const rule = pickCommissionRule(rules, salesmanId, category, sale.date);
+      const commission = !rule ? 0 : rule.type === "percent" ? (amount * rule.rate) / 100 : qty * rule.rate;
+      const line = (lines[category] ||= { category, qty: 0, amount: 0, commission: 0, rules: [] });
+      line.qty += qty;
+      line.amount += amount;
+      line.commission += commission;
+      if (rule && !line.rules.includes(String(rule._id))) line.rules.push(String(rule._id));
+    });
+  });
+  const round = (n) => Number(n.toFixed(2));
+  return Object.values(lines)
+    .map((l) => ({ ...l, qty: round(l.qty), amount: round(l.amount), commission: round(l.commission) }))
+    .sort((a, b) => a.category.localeCompare(b.category));
+}
+
+// Helper: settlement of a salesman for a yyyy-MM month (not saved)
+async function buildSettlement(branch, salesman, month, deductDue) {
+  const m = moment(month, "YYYY-MM", true);
+  const from = m.clone().startOf("month").format("YYYY-MM-DD");
+  const to = m.clone().endOf("month").format("YYYY-MM-DD");
+  const salesmanId = String(salesman._id);
+  const lines = await computeCommission(branch, salesmanId, from, to);
+  const commission = Number(lines.reduce((sum, l) => sum + l.commission, 0).toFixed(2));
+  // Advances given up to month end and not taken off an earlier settlement
+  const advances = await salesmanAdvancesCollection
+    .find({ branch, salesmanId, date: { $lte: to }, settlementId: null })
+    .sort({ date: 1 })
+    .toArray();
+  const advanceTotal = Number(advances.reduce((sum, a) => sum + a.amount, 0).toFixed(2));
+  const [lastSale] = await dailySalesCollection
+    .find({ branch, salesmanId, date: { $lte: to } })
+    .sort({ date: -1 })
+    .limit(1)
+    .toArray();
+  const dueAtClose = Number(lastSale?.currDue) || 0;
+  // Never take more due than the commission left after advances
+  const dueDeducted = deductDue ? Number(Math.min(Math.max(dueAtClose, 0), Math.max(commission - advanceTotal, 0)).toFixed(2)) : 0;
+  return {
+    branch,
+    salesmanId,
+    name: salesman.name,
+    month,
+    from,
+    to,
+    lines,
+    commission,
+    advances: advances.map(({ _id, date, amount, note }) => ({ _id, date, amount, note })),
+    advanceTotal,
+    deductDue,
+    dueAtClose,
+    dueDeducted,
+    net: Number((commission - advanceTotal - dueDeducted).toFixed(2)),
+    status: "draft",
+  };
+}
+
+// Get commission rules of the branch (filter: salesmanId, category, type)
+app.get("/api/commission-rules", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      filters: ["salesmanId", "category", "type"],
+      sortFields: ["effectiveFrom", "rate"],
+      defaultSort: "-effectiveFrom",
+      dateRange: false,
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
+    res.json(listBody(await findList(commissionRulesCollection, { branch: req.branch }, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch commission rules" });
+  }
+});
+
+// Add a commission rule
+app.post("/api/commission-rules", verifyToken, verifyRole("admin", "manager"), validateBody(CommissionRule), async (req, res) => {
+  try {
+    const rule = { ...req.body, branch: req.branch, createdBy: req.user.email, createdAt: new Date() };
+    if (rule.effectiveTo && rule.effectiveTo < rule.effectiveFrom) {
+      return res.status(400).json({ error: "effectiveTo must not be before effectiveFrom" });
+    }
+    const result = await commissionRulesCollection.insertOne(rule);
+    await audit(req, { entity: "commissionRules", after: rule });
+    res.status(201).json({ insertedId: result.insertedId });
+  } catch {
+    res.status(500).json({ error: "Failed to add commission rule" });
+  }
+});
+
+// Update a commission rule
+app.put("/api/commission-rules/:id", verifyToken, verifyRole("admin", "manager"), validateBody(CommissionRule, { partial: true }), async (req, res) => {
+  try {
+    const before = await commissionRulesCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Commission rule not found" });
+    const next = { ...before, ...req.body };
+    if (next.effectiveTo && next.effectiveTo < next.effectiveFrom) {
+      return res.status(400).json({ error: "effectiveTo must not be before effectiveFrom" });
+    }
+    const result = await commissionRulesCollection.updateOne({ _id: before._id }, { $set: req.body });
+    await audit(req, { entity: "commissionRules", before, after: await commissionRulesCollection.findOne({ _id: before._id }) });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to update commission rule" });
+  }
+});
+
+// Delete a commission rule (saved settlements keep their amounts)
+app.delete("/api/commission-rules/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const before = await commissionRulesCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Commission rule not found" });
+    const result = await commissionRulesCollection.deleteOne({ _id: before._id });
+    await audit(req, { entity: "commissionRules", before });
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to delete commission rule" });
+  }
+});
+
+// Get advances (filter: salesmanId, from, to; list contract, see List Queries)
+app.get("/api/salesman-advances", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, { filters: ["salesmanId"], sortFields: ["date", "amount"], defaultSort: "-date" });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const query = { branch: req.branch };
+    if (req.user.role === "salesman") query.salesmanId = req.user.salesmanId;
+    res.json(listBody(await findList(salesmanAdvancesCollection, query, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch advances" });
+  }
+});
+
+// Record an advance
+app.post("/api/salesman-advances", verifyToken, verifyRole("admin", "manager"), validateBody(SalesmanAdvance), async (req, res) => {
+  try {
+    const { salesmanId, date, amount, note } = req.body;
+    const doc = {
+      branch: req.branch,
+      salesmanId,
+      date,
+      amount: Number(amount.toFixed(2)),
+      note,
+      settlementId: null,
+      createdBy: req.user.email,
+      createdAt: new Date(),
+    };
+    const { closed, result } = await withOpenDays(req.branch, [date], {}, async () => {
+      const inserted = await salesmanAdvancesCollection.insertOne(doc);
+      await audit(req, { entity: "salesmanAdvances", after: doc });
+      return inserted;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.status(201).json({ insertedId: result.insertedId });
+  } catch {
+    res.status(500).json({ error: "Failed to save advance" });
+  }
+});
+
+// Delete an advance that no settlement has taken yet
+app.delete("/api/salesman-advances/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const before = await salesmanAdvancesCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Advance not found" });
+    if (before.settlementId) return res.status(409).json({ error: "Advance is part of a paid settlement" });
+    const { closed, result } = await withOpenDays(req.branch, [before.date], {}, async () => {
+      const deleted = await salesmanAdvancesCollection.deleteOne({ _id: before._id });
+      await audit(req, { entity: "salesmanAdvances", before });
+      return deleted;
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to delete advance" });
+  }
+});
+
+// Get settlements (filter: salesmanId, month, status; newest month first)
+app.get("/api/settlements", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      filters: ["salesmanId", "month", "status"],
+      sortFields: ["month", "net"],
+      defaultSort: "-month",
+      dateRange: false,
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const query = { branch: req.branch };
+    if (req.user.role === "salesman") query.salesmanId = req.user.salesmanId;
+    res.json(listBody(await findList(settlementsCollection, query, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch settlements" });
+  }
+});
+
+// Work out a salesman's settlement for { salesmanId, month: "yyyy-MM", deductDue? } and save it as a draft
+// (a saved draft of the same month is recomputed; ?dryRun=true only shows it)
+app.post("/api/settlements", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const { salesmanId, month } = req.body;
+    if (!OBJECT_ID_RE.test(String(salesmanId ?? ""))) return res.status(400).json({ error: "Invalid salesmanId" });
+    if (!moment(String(month ?? ""), "YYYY-MM", true).isValid()) return res.status(400).json({ error: "month must be yyyy-MM" });
+    const salesman = await salesmenCollection.findOne({ _id: new ObjectId(String(salesmanId)), ...sharedOrOwn(req.branch) });
+    if (!salesman) return res.status(404).json({ error: "Salesman not found" });
+    const deductDue = req.body.deductDue ?? salesman.deductDueFromCommission ?? false;
+    if (typeof deductDue !== "boolean") return res.status(400).json({ error: "deductDue must be true or false" });
+
+    const { branch } = req;
+    const sid = String(salesman._id);
+    const filter = { branch, salesmanId: sid, month };
+    const result = await withLocks([`settlement:${branch}:${sid}`], async () => {
+      const before = await settlementsCollection.findOne(filter);
+      if (before?.status === "paid") return { paid: true };
+      const settlement = await buildSettlement(branch, salesman, month, deductDue);
+      if (req.query.dryRun === "true") return { settlement };
+      await settlementsCollection.replaceOne(
+        filter,
+        { ...settlement, createdBy: req.user.email, createdAt: new Date() },
+        { upsert: true }
+      );
+      const after = await settlementsCollection.findOne(filter);
+      await audit(req, { entity: "settlements", before, after });
+      return { settlement: after };
+    });
+    if (result.paid) return res.status(409).json({ error: "Settlement of this month is already paid" });
+    res.status(req.query.dryRun === "true" ? 200 : 201).json(result.settlement);
+  } catch {
+    res.status(500).json({ error: "Failed to build settlement" });
+  }
+});
+
+// Mark a settlement paid ({ method, note }): takes its advances and books the due deducted as a payment today
+// (capped at the due left today; `net` follows)
+app.post("/api/settlements/:id/pay", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const method = req.body.method || "cash";
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+    }
+    const before = await settlementsCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Settlement not found" });
+    const { branch } = req;
+    const today = moment().format("YYYY-MM-DD");
+    // The due deducted is booked as a payment today, which re-chains dues from today on
+    const keys = [`settlement:${branch}:${before.salesmanId}`, `dues:${branch}:${before.salesmanId}`];
+    const dates = before.dueDeducted > 0 ? [today] : [];
+    const { closed, result } = await withOpenDays(branch, dates, { dues: true, keys }, () =>
+      runTransaction(async (session) => {
+        const current = await settlementsCollection.findOne({ _id: before._id }, { session });
+        if (current.status === "paid") return null;
+        const advanceIds = current.advances.map((a) => a._id);
+        // An advance deleted or taken by another paid settlement meanwhile means this draft is stale
+        const open = await salesmanAdvancesCollection.countDocuments(
+          { _id: { $in: advanceIds }, settlementId: null },
+          { session }
+        );
+        if (open !== advanceIds.length) return { stale: true };
+        await salesmanAdvancesCollection.updateMany(
+          { _id: { $in: advanceIds } },
+          { $set: { settlementId: String(current._id) } },
+          { session }
+        );
+        // The due may have been paid down since month end: never deduct more than is owed today
+        const [lastSale] = await dailySalesCollection
+          .find({ branch, salesmanId: current.salesmanId, date: { $lte: today } }, { session })
+          .sort({ date: -1 })
+          .limit(1)
+          .toArray();
+        const dueDeducted = Number(Math.min(current.dueDeducted, Math.max(Number(lastSale?.currDue) || 0, 0)).toFixed(2));
+        if (dueDeducted > 0) {
+          await salesmanPaymentsCollection.insertOne({
+            branch,
+            salesmanId: current.salesmanId,
+            date: today,
+            amount: dueDeducted,
+            method: "other",
+            note: `কমিশন থেকে কর্তন (${current.month})`,
+            receivedBy: req.user.email,
+            source: "commission",
+            settlementId: String(current._id),
+            createdBy: req.user.email,
+            createdAt: new Date(),
+          }, { session });
+          await applyPaymentsToDailySale(branch, current.salesmanId, today, session);
+        }
+        await settlementsCollection.updateOne(
+          { _id: current._id },
+          {
+            $set: {
+              status: "paid",
+              dueDeducted,
+              net: Number((current.commission - current.advanceTotal - dueDeducted).toFixed(2)),
+              paidAt: new Date(),
+              paidBy: req.user.email,
+              paymentMethod: method,
+              paymentNote: req.body.note || "",
+            },
+          },
+          { session }
+        );
+        const after = await settlementsCollection.findOne({ _id: current._id }, { session });
+        await audit(req, { entity: "settlements", before: current, after, action: "pay" }, session);
+        return { settlement: after };
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    if (!result) return res.status(409).json({ error: "Settlement is already paid" });
+    if (result.stale) return res.status(409).json({ error: "Advances changed since this draft; recompute the settlement" });
+    res.json(result.settlement);
+
+    if (result.settlement.dueDeducted > 0) {
+      const io = req.app.get("io");
+      io.emit("daily-sale-updated", { branch, date: today });
+    }
+  } catch {
+    res.status(500).json({ error: "Failed to pay settlement" });
+  }
+});
+
+// Delete a draft settlement
+app.delete("/api/settlements/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const before = await settlementsCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Settlement not found" });
+    if (before.status === "paid") return res.status(409).json({ error: "A paid settlement cannot be deleted" });
+    const result = await settlementsCollection.deleteOne({ _id: before._id });
+    await audit(req, { entity: "settlements", before });
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to delete settlement" });
+  }
+});
+
+// --- Day Closing ---
+// A closed date of a branch: { branch, date, closed, closedBy, closedAt, note, periodId, reopens: [{ by, at, reason }] }
+// While a date is closed, saves that change its books are rejected with 423: daily sale, usage,
+// salesman orders, ghorer mal, day orders, returns, salesman payments, retail sales and customer payments.
+// Saves that re-chain dues (daily sale, salesman and customer payments, retail sales, due-chain repair,
+// a customer's opening due)
+// rewrite every later row of the chain, so any closed date on or after the saved date blocks them too.
+// The check runs under the branch's `closing:<branch>` lock, which closing takes as well.
+// Managers close dates; only an admin can reopen one, with a reason.
+// A period close locks every date of [from, to] and keeps each salesman's closing due at `to`:
+// { branch, from, to, dues: [{ salesmanId, name, date, currDue }], totalDue, closedBy, closedAt, note }
+const PERIOD_CLOSE_MAX_DAYS = 366;
+
+// Helper: closed dates among `dates` of a branch
+const findClosedDays = (branch, dates, session) =>
+  closedDaysCollection
+    .find({ branch, date: { $in: [...new Set(dates.filter(Boolean))] }, closed: true }, { session })
+    .sort({ date: 1 })
+    .toArray();
+
+// Helper: 423 body for saves that touch closed dates
+const closedBody = (closed) => ({
+  error: `Closed date: ${closed.map((c) => c.date).join(", ")} (an admin must reopen it first)`,
+  closed: closed.map(({ date, closedBy, closedAt }) => ({ date, closedBy, closedAt })),
+});
+
+// Entities whose rows are part of a salesman or customer due chain
+const DUE_CHAIN_ENTITIES = ["dailySales", "salesmanPayments", "retailSales", "customerPayments"];
+
+// Helper: closed dates that block a save of `dates`; with `dues` the first closed date on or after the earliest one
+const findBlockingClosedDays = (branch, dates, dues, session) => {
+  const from = dates.filter(Boolean).sort()[0];
+  if (!dues || !from) return findClosedDays(branch, dates, session);
+  return closedDaysCollection
+    .find({ branch, date: { $gte: from }, closed: true }, { session })
+    .sort({ date: 1 })
+    .limit(1)
+    .toArray();
+};
+
+// Helper: run a save of `dates` under `keys` plus the branch's closing lock, so a close cannot slip
+// between the check and the write. Resolves { closed } without saving when blocked, else { result }.
+async function withOpenDays(branch, dates, { dues = false, keys = [] }, fn) {
+  return withLocks([`closing:${branch}`, ...keys], async () => {
+    const closed = await findBlockingClosedDays(branch, dates, dues);
+    return closed.length ? { closed } : { result: await fn() };
+  });
+}
+
+// Helper: every yyyy-MM-dd key of [from, to]
+const dateRangeKeys = (from, to) => {
+  const keys = [];
+  for (let d = from; d <= to; d = shiftDateKey(d, 1)) keys.push(d);
+  return keys;
+};
+
+// Helper: close dates of a branch (already closed ones are left as they are); returns the newly closed dates
+async function closeDays(req, dates, { note = "", periodId = null } = {}, session) {
+  const already = new Set((await findClosedDays(req.branch, dates, session)).map((c) => c.date));
+  const closedNow = [];
+  for (const date of dates.filter((d) => !already.has(d))) {
+    const filter = { branch: req.branch, date };
+    const before = await closedDaysCollection.findOne(filter, { session });
+    await closedDaysCollection.updateOne(
+      filter,
+      {
+        $set: { ...filter, closed: true, closedBy: req.user.email, closedAt: new Date(), note, periodId },
+        $setOnInsert: { reopens: [] },
+      },
+      { upsert: true, session }
+    );
+    const after = await closedDaysCollection.findOne(filter, { session });
+    await audit(req, { entity: "closedDays", before, after, action: "close" }, session);
+    closedNow.push(date);
+  }
+  return closedNow;
+}
+
+// Helper: last currDue of every salesman of the branch on or before `to`
+async function closingDues(branch, to, session) {
+  const rows = await dailySalesCollection
+    .aggregate(
+      [
+        { $match: { branch, date: { $lte: to } } },
+        { $sort: { date: 1 } },
+        { $group: { _id: "$salesmanId", date: { $last: "$date" }, currDue: { $last: "$currDue" } } },
+      ],
+      { session }
+    )
+    .toArray();
+  const salesmen = await salesmenCollection.find({}, { session }).toArray();
+  const names = new Map(salesmen.map((s) => [String(s._id), s.name]));
+  return rows
+    .map((r) => ({ salesmanId: String(r._id), name: names.get(String(r._id)) ?? "", date: r.date, currDue: Number(r.currDue) || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Get closed dates of the branch (list contract, see List Queries; ?closed=false lists reopened ones)
+app.get("/api/closed-days", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, { sortFields: ["date", "closedAt"], defaultSort: "-date" });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const query = { branch: req.branch, closed: req.query.closed !== "false" };
+    res.json(listBody(await findList(closedDaysCollection, query, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch closed days" });
+  }
+});
+
+// Close a date after reconciling it
+app.post("/api/closed-days", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const date = toDateKey(req.body.date);
+    if (!date) return res.status(400).json({ error: "Invalid date" });
+    const closedNow = await withLocks([`closing:${req.branch}`], () =>
+      runTransaction((session) => closeDays(req, [date], { note: req.body.note || "" }, session))
+    );
+    if (!closedNow.length) return res.status(409).json({ error: "Date is already closed" });
+    res.status(201).json({ date });
+  } catch {
+    res.status(500).json({ error: "Failed to close date" });
+  }
+});
+
+// Reopen a closed date (admin only, reason required)
+app.post("/api/closed-days/:date/reopen", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const date = toDateKey(req.params.date);
+    if (!date) return res.status(400).json({ error: "Invalid date" });
+    const reason = String(req.body.reason ?? "").trim();
+    if (!reason) return res.status(400).json({ error: "reason required" });
+    const filter = { branch: req.branch, date };
+    const reopened = await withLocks([`closing:${req.branch}`], () =>
+      runTransaction(async (session) => {
+        const before = await closedDaysCollection.findOne({ ...filter, closed: true }, { session });
+        if (!before) return null;
+        await closedDaysCollection.updateOne(
+          { _id: before._id },
+          { $set: { closed: false }, $push: { reopens: { by: req.user.email, at: new Date(), reason } } },
+          { session }
+        );
+        const after = await closedDaysCollection.findOne({ _id: before._id }, { session });
+        await audit(req, { entity: "closedDays", before, after, action: "reopen" }, session);
+        return after;
+      })
+    );
+    if (!reopened) return res.status(404).json({ error: "Date is not closed" });
+    res.json(reopened);
+  } catch {
+    res.status(500).json({ error: "Failed to reopen date" });
+  }
+});
+
+// Get period closings of the branch with their due snapshots (newest first)
+app.get("/api/period-closings", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const closings = await periodClosingsCollection.find({ branch: req.branch }).sort({ to: -1 }).toArray();
+    res.json(closings);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch period closings" });
+  }
+});
+
+// Close a period: { month: "yyyy-MM" } or { from, to }. Locks every date and snapshots closing dues at `to`.
+app.post("/api/period-closings", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    let { from, to } = req.body;
+    if (req.body.month) {
+      const m = moment(String(req.body.month), "YYYY-MM", true);
+      if (!m.isValid()) return res.status(400).json({ error: "month must be yyyy-MM" });
+      from = m.clone().startOf("month").format("YYYY-MM-DD");
+      to = m.clone().endOf("month").format("YYYY-MM-DD");
+    } else {
+      from = toDateKey(from);
+      to = toDateKey(to);
+      if (!from || !to || from > to) return res.status(400).json({ error: "valid from and to (or month) required" });
+    }
+    const dates = dateRangeKeys(from, to);
+    if (dates.length > PERIOD_CLOSE_MAX_DAYS) {
+      return res.status(400).json({ error: `A period can have at most ${PERIOD_CLOSE_MAX_DAYS} days` });
+    }
+
+    const { branch } = req;
+    const closing = await withLocks([`closing:${branch}`], () =>
+      runTransaction(async (session) => {
+        if (await periodClosingsCollection.findOne({ branch, from, to }, { session })) return null;
+        const dues = await closingDues(branch, to, session);
+        const doc = {
+          branch,
+          from,
+          to,
+          dues,
+          totalDue: Number(dues.reduce((sum, d) => sum + d.currDue, 0).toFixed(2)),
+          closedBy: req.user.email,
+          closedAt: new Date(),
+          note: req.body.note || "",
+        };
+        const { insertedId } = await periodClosingsCollection.insertOne(doc, { session });
+        await audit(req, { entity: "periodClosings", after: doc }, session);
+        const closedNow = await closeDays(req, dates, { note: doc.note, periodId: String(insertedId) }, session);
+        return { ...doc, closedDays: closedNow.length };
+      })
+    );
+    if (!closing) return res.status(409).json({ error: "Period is already closed" });
+    res.status(201).json(closing);
+  } catch {
+    res.status(500).json({ error: "Failed to close period" });
+  }
+});
+
+// --- Printable Documents ---
+// Bengali challans, receipts and the daily summary as HTML (?format=html, default) or PDF (?format=pdf).
+// PDF is printed by headless Chrome at CHROME_PATH; the server needs a Bengali font installed (e.g. Noto Sans Bengali).
+const PRINT_TITLE = "মাহি বেকারি";
+const BN_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+// Helper: 0-9 written as Bengali numerals
+const toBengaliDigits = (value) => String(value).replace(/\d/g, (d) => BN_DIGITS[d]);
+const bnQty = (n) => toBengaliDigits(Number((Number(n) || 0).toFixed(2)));
+const bnMoney = (n) => `৳ ${toBengaliDigits((Number(n) || 0).toFixed(2))}`;
+const bnDate = (dateKey) => toBengaliDigits(moment(dateKey, "YYYY-MM-DD").format("DD/MM/YYYY"));
+
+// Helper: text safe inside HTML
+const escapeHtml = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Helper: whole document; every page prints on its own sheet of `size` paper
+const printDocument = (title, pages, size = "A5") => `<!DOCTYPE html>
+<html lang="bn">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: ${size}; margin: 10mm; }
+  body { font-family: "Noto Sans Bengali", "SolaimanLipi", "Kalpurush", sans-serif; font-size: 12pt; color: #000; margin: 0; }
+  .page { page-break-after: always; }
+  .page:last-child { page-break-after: auto; }
+  header { text-align: center; margin-bottom: 8px; }
+  header h1 { font-size: 16pt; margin: 0; }
+  header h2 { font-size: 13pt; margin: 4px 0 0; font-weight: normal; }
+  .meta { display: flex; justify-content: space-between; margin: 8px 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #000; padding: 3px 6px; }
+  td.num, th.num { text-align: right; }
+  tfoot td { font-weight: bold; }
+  .signatures { display: flex; justify-content: space-between; margin-top: 40px; }
+  .signatures span { border-top: 1px solid #000; padding-top: 2px; min-width: 35%; text-align: center; }
+</style>
+</head>
+<body>
+${pages.join("\n")}
+</body>
+</html>`;
+
+// Helper: one page with the bakery header and a title line
+const printPage = ({ branchName, heading, meta, body }) => `<section class="page">
+  <header><h1>${escapeHtml(PRINT_TITLE)}${branchName ? ` - ${escapeHtml(branchName)}` : ""}</h1><h2>${escapeHtml(heading)}</h2></header>
+  <div class="meta">${meta.map((m) => `<span>${m}</span>`).join("")}</div>
+  ${body}
+</section>`;
+
+// Helper: branch name shown on the header (none for the main branch)
+async function printBranchName(branch) {
+  if (branch === DEFAULT_BRANCH) return "";
+  const doc = await branchesCollection.findOne({ code: branch });
+  return doc?.name ?? branch;
+}
+
+// Helper: names of salesmen and items by id
+async function printNames() {
+  const [salesmen, items] = await Promise.all([salesmenCollection.find({}).toArray(), itemsCollection.find({}).toArray()]);
+  return {
+    salesmen: new Map(salesmen.map((s) => [String(s._id), s])),
+    items: new Map(items.map((i) => [String(i._id), i])),
+  };
+}
+
+// Helper: dispatch of a date per salesman, from the day's summary sheet once saved, else the salesman orders
+async function getDispatch(branch, date) {
+  const dayOrder = await salesmanDayOrdersCollection.findOne({ branch, date });
+  const rows =
+    Array.isArray(dayOrder?.salesman) && dayOrder.salesman.length
+      ? dayOrder.salesman
+      : await salesmanOrdersCollection.find({ branch, date }).toArray();
+  const bySalesman = {};
+  rows.forEach((o) => {
+    const items = (bySalesman[String(o.salesmanId)] ||= {});
+    items[String(o.itemId)] = (items[String(o.itemId)] || 0) + (Number(o.qty) || 0);
+  });
+  return { dayOrder, bySalesman };
+}
+
+// Helper: challan pages, one per salesman (only `salesmanId` when given)
+async function buildChallans(branch, date, salesmanId) {
+  const [{ bySalesman }, names, branchName] = await Promise.all([getDispatch(branch, date), printNames(), printBranchName(branch)]);
+  return Object.entries(bySalesman)
+    .filter(([sid]) => !salesmanId || sid === String(salesmanId))
+    .map(([sid, items]) => {
+      const salesman = names.salesmen.get(sid);
+      const lines = Object.entries(items)
+        .filter(([, qty]) => qty)
+        .map(([itemId, qty]) => ({ name: names.items.get(itemId)?.name ?? "", qty }));
+      const total = lines.reduce((sum, l) => sum + l.qty, 0);
+      const body = `<table>
+    <thead><tr><th>ক্রমিক</th><th>পণ্য</th><th class="num">পরিমাণ (পিস)</th></tr></thead>
+    <tbody>${lines
+      .map((l, i) => `<tr><td>${toBengaliDigits(i + 1)}</td><td>${escapeHtml(l.name)}</td><td class="num">${bnQty(l.qty)}</td></tr>`)
+      .join("")}</tbody>
+    <tfoot><tr><td colspan="2">মোট</td><td class="num">${bnQty(total)}</td></tr></tfoot>
+  </table>
+  <div class="signatures"><span>প্রদানকারীর স্বাক্ষর</span><span>সেলসম্যানের স্বাক্ষর</span></div>`;
+      return printPage({
+        branchName,
+        heading: "মাল বুঝে পাওয়ার চালান",
+        meta: [`সেলসম্যান: ${escapeHtml(salesman?.name ?? "")}`, `তারিখ: ${bnDate(date)}`],
+        body,
+      });
+    });
+}
+
+// Helper: receipt pages from the daily sale rows, one per salesman (only `salesmanId` when given)
+async function buildReceipts(branch, date, salesmanId) {
+  const query = { branch, date };
+  if (salesmanId) query.salesmanId = String(salesmanId);
+  const [sales, names, branchName] = await Promise.all([
+    dailySalesCollection.find(query).toArray(),
+    printNames(),
+    printBranchName(branch),
+  ]);
+  return sales.map((sale) => {
+    const categories = (Array.isArray(sale.categories) ? sale.categories : []).filter((c) => Number(c.qty) || Number(c.total));
+    const amount = saleAmount(sale);
+    const row = (label, value) => `<tr><td colspan="3">${label}</td><td class="num">${bnMoney(value)}</td></tr>`;
+    const body = `<table>
+    <thead><tr><th>ক্যাটাগরি</th><th class="num">পরিমাণ</th><th class="num">দর</th><th class="num">টাকা</th></tr></thead>
+    <tbody>${categories
+      .map(
+        (c) =>
+          `<tr><td>${escapeHtml(c.category ?? c.name ?? "")}</td><td class="num">${bnQty(c.qty)}</td><td class="num">${bnMoney(c.price)}</td><td class="num">${bnMoney(c.total)}</td></tr>`
+      )
+      .join("")}</tbody>
+    <tfoot>
+      ${row("মোট বিক্রি", amount)}
+      ${row("পূর্বের বাকি", sale.prevDue)}
+      ${row("মোট পাওনা", sale.totalDue ?? (Number(sale.prevDue) || 0) + amount)}
+      ${row("জমা", sale.deposit)}
+      ${row("বর্তমান বাকি", sale.currDue)}
+    </tfoot>
+  </table>
+  <div class="signatures"><span>গ্রহীতার স্বাক্ষর</span><span>সেলসম্যানের স্বাক্ষর</span></div>`;
+    return printPage({
+      branchName,
+      heading: "দৈনিক বিক্রয় রশিদ",
+      meta: [`সেলসম্যান: ${escapeHtml(names.salesmen.get(String(sale.salesmanId))?.name ?? "")}`, `তারিখ: ${bnDate(date)}`],
+      body,
+    });
+  });
+}
+
+// Helper: one page with every salesman's dispatch, sale, deposit and due, plus the sheet totals
+async function buildDailySummary(branch, date) {
+  const [{ dayOrder, bySalesman }, sales, names, branchName] = await Promise.all([
+    getDispatch(branch, date),
+    dailySalesCollection.find({ branch, date }).toArray(),
+    printNames(),
+    printBranchName(branch),
+  ]);
+  const rows = {};
+  const row = (sid) => (rows[sid] ||= { name: names.salesmen.get(sid)?.name ?? "", pieces: 0, amount: 0, deposit: 0, currDue: 0 });
+  Object.entries(bySalesman).forEach(([sid, items]) => {
+    row(sid).pieces = Object.values(items).reduce((sum, qty) => sum + qty, 0);
+  });
+  sales.forEach((sale) => {
+    const r = row(String(sale.salesmanId));
+    r.amount = saleAmount(sale);
+    r.deposit = Number(sale.deposit) || 0;
+    r.currDue = Number(sale.currDue) || 0;
+  });
+  const list = Object.values(rows).sort((a, b) => a.name.localeCompare(b.name));
+  const sum = (field) => list.reduce((total, r) => total + r[field], 0);
+  const body = `<table>
+    <thead><tr><th>সেলসম্যান</th><th class="num">মাল (পিস)</th><th class="num">বিক্রি</th><th class="num">জমা</th><th class="num">বাকি</th></tr></thead>
+    <tbody>${list
+      .map(
+        (r) =>
+          `<tr><td>${escapeHtml(r.name)}</td><td class="num">${bnQty(r.pieces)}</td><td class="num">${bnMoney(r.amount)}</td><td class="num">${bnMoney(r.deposit)}</td><td class="num">${bnMoney(r.currDue)}</td></tr>`
+      )
+      .join("")}</tbody>
+    <tfoot><tr><td>মোট</td><td class="num">${bnQty(sum("pieces"))}</td><td class="num">${bnMoney(sum("amount"))}</td><td class="num">${bnMoney(sum("deposit"))}</td><td class="num">${bnMoney(sum("currDue"))}</td></tr></tfoot>
+  </table>
+  <table style="margin-top: 12px">
+    <tr><td>ঘরের মাল মোট</td><td class="num">${bnQty(dayOrder?.ghorerMalTotal)}</td></tr>
+    <tr><td>মোট পিস</td><td class="num">${bnQty(dayOrder?.motPcsTotal)}</td></tr>
+  </table>`;
+  return printPage({ branchName, heading: "দৈনিক সারসংক্ষেপ", meta: [`তারিখ: ${bnDate(date)}`], body });
+}
+
+// Headless Chrome for PDFs: started on first use and shared by all prints (started again if it crashes)
+const PDF_TIMEOUT_MS = 30 * 1000;
+let pdfBrowser = null;
+
+// Helper: PDF bytes of an HTML document. Documents are printed one at a time, each on its own page,
+// and a document that does not load or print within PDF_TIMEOUT_MS fails instead of holding the queue.
+async function renderPdf(html) {
+  return withLocks(["pdf"], async () => {
+    if (!pdfBrowser?.connected) {
+      pdfBrowser = await puppeteer.launch({
+        executablePath: process.env.CHROME_PATH,
+        args: ["--no-sandbox", "--disable-dev-shm-usage"],
+      });
+    }
+    const page = await pdfBrowser.newPage();
+    try {
+      page.setDefaultTimeout(PDF_TIMEOUT_MS);
+      await page.setContent(html, { waitUntil: "load" });
+      // Paper size comes from the document's @page rule
+      return await page.pdf({ printBackground: true, preferCSSPageSize: true, timeout: PDF_TIMEOUT_MS });
+    } finally {
+      await page.close().catch(() => {});
+    }
+  });
+}
+
+// Route factory: print the pages of `build(branch, date, salesmanId)` as HTML or PDF
+const printHandler = (name, build, size) => async (req, res) => {
+  try {
+    const date = toDateKey(req.params.date);
+    if (!date) return res.status(400).json({ error: "Invalid date" });
+    const format = req.query.format || "html";
+    if (!["html", "pdf"].includes(format)) return res.status(400).json({ error: "format must be html or pdf" });
+    if (format === "pdf" && !process.env.CHROME_PATH) {
+      return res.status(503).json({ error: "PDF printing is not set up (CHROME_PATH)" });
+    }
+    // Salesman users print only their own pages
+    const salesmanId = req.user.role === "salesman" ? String(req.user.salesmanId) : req.query.salesmanId;
+    const pages = await build(req.branch, date, salesmanId);
+    if (!pages.length) return res.status(404).json({ error: "Nothing to print for this date" });
+
+    const html = printDocument(`${name} ${date}`, pages, size);
+    if (format === "html") return res.type("html").send(html);
+    const pdf = await renderPdf(html);
+    res.set("Content-Disposition", `inline; filename="${name}-${date}.pdf"`);
+    res.type("application/pdf").send(Buffer.from(pdf));
+  } catch (err) {
+    console.error(`❌ Failed to print ${name}:`, err);
+    res.status(500).json({ error: `Failed to print ${name}` });
+  }
+};
+
+// GET - Dispatch challans of a date (one salesman with ?salesmanId=)
+app.get(
+  "/api/print/challans/:date",
+  verifyToken,
+  verifyRole("admin", "manager", "salesman", "viewer"),
+  printHandler("challans", buildChallans)
+);
+
+// GET - Daily sale receipts of a date (one salesman with ?salesmanId=)
+app.get(
+  "/api/print/receipts/:date",
+  verifyToken,
+  verifyRole("admin", "manager", "salesman", "viewer"),
+  printHandler("receipts", buildReceipts)
+);
+
+// GET - One-page daily summary of a date
+app.get(
+  "/api/print/daily-summary/:date",
+  verifyToken,
+  verifyRole("admin", "manager", "viewer"),
+  printHandler("daily-summary", async (branch, date) => [await buildDailySummary(branch, date)], "A4")
+);
+
+// --- Due Reminders ---
+// Rules ({ name, type, threshold, days, channel, template, active, branch }) are checked against the
+// daily sale rows of the branch; each hit queues one message per rule, salesman and day in `reminderOutbox`:
+// { branch, ruleId, salesmanId, channel, to, message, status, attempts, lastError, nextAttemptAt, sentAt, dedupeKey }
+// status: pending -> sending -> sent, or back to pending with a growing delay until REMINDER_MAX_ATTEMPTS (failed).
+// type "dueAbove": currDue above `threshold`. type "noDeposit": no deposit for `days` days while something is due.
+const REMINDER_MAX_ATTEMPTS = 5;
+// Path the `file` transport appends to; there is no default so nothing is written into the app directory
+const REMINDER_FILE = process.env.REMINDER_FILE || "";
+// Stuck in "sending" this long (server stopped mid-send): picked up again
+const REMINDER_CLAIM_MS = 10 * 60 * 1000;
+const REMINDER_TEMPLATES = {
+  dueAbove: "প্রিয় {name}, আপনার বকেয়া {due} টাকা হয়েছে, যা নির্ধারিত সীমা {threshold} টাকার বেশি। অনুগ্রহ করে দ্রুত পরিশোধ করুন। - মাহি বেকারি",
+  noDeposit: "প্রিয় {name}, গত {days} দিন আপনার কোনো জমা পাওয়া যায়নি। বর্তমান বকেয়া {due} টাকা। - মাহি বেকারি",
+};
+
+// Helper: fill {placeholders} of a template
+const renderTemplate = (template, vars) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (vars[key] !== undefined ? String(vars[key]) : match));
+
+// Helper: transport that posts { to, message } as JSON to a gateway (SMS, WhatsApp or email API)
+const httpTransport = (name, url, token) => ({
+  async send({ to, message }) {
+    if (!url) throw new Error(`${name} transport is not configured`);
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify({ to, message }),
+    });
+    if (!response.ok) throw new Error(`${name} gateway answered ${response.status}`);
+    const body = await response.json().catch(() => ({}));
+    return { providerId: body.id ?? null };
+  },
+});
+
+// Transports by channel. REMINDER_TRANSPORT=console|file sends every channel there (offline testing).
+const reminderTransports = {
+  console: {
+    async send({ channel, to, message }) {
+      console.log(`📨 [${channel}] ${to}: ${message}`);
+      return { providerId: null };
+    },
+  },
+  file: {
+    async send({ channel, to, message }) {
+      if (!REMINDER_FILE) throw new Error("file transport is not configured (REMINDER_FILE)");
+      await fs.promises.appendFile(REMINDER_FILE, `${JSON.stringify({ at: new Date(), channel, to, message })}\n`);
+      return { providerId: null };
+    },
+  },
+  sms: httpTransport("sms", process.env.SMS_GATEWAY_URL, process.env.SMS_GATEWAY_TOKEN),
+  whatsapp: httpTransport("whatsapp", process.env.WHATSAPP_API_URL, process.env.WHATSAPP_API_TOKEN),
+  email: httpTransport("email", process.env.EMAIL_API_URL, process.env.EMAIL_API_TOKEN),
+};
+const REMINDER_CHANNELS = Object.keys(reminderTransports);
+
+// Helper: the transport a message goes out with
+const transportFor = (channel) => reminderTransports[process.env.REMINDER_TRANSPORT || channel];
+
+// Helper: messages the rules of a branch call for on a date (nothing is written)
+async function evaluateReminderRules(branch, date) {
+  const rules = await reminderRulesCollection.find({ branch, active: true }).toArray();
+  if (!rules.length) return { messages: [], skipped: [] };
+  const salesmen = await salesmenCollection.find({ archived: { $ne: true }, ...sharedOrOwn(branch) }).toArray();
+  const messages = [];
+  const skipped = [];
+  for (const salesman of salesmen) {
+    const salesmanId = String(salesman._id);
+    const [last] = await dailySalesCollection
+      .find({ branch, salesmanId, date: { $lte: date } })
+      .sort({ date: -1 })
+      .limit(1)
+      .toArray();
+    if (!last) continue;
+    const due = Number(last.currDue) || 0;
+    const [lastDeposit] = await dailySalesCollection
+      .find({ branch, salesmanId, date: { $lte: date }, deposit: { $gt: 0 } })
+      .sort({ date: -1 })
+      .limit(1)
+      .toArray();
+    // Without any deposit, count from the first row
+    const since = lastDeposit?.date ?? (await dailySalesCollection.findOne({ branch, salesmanId }, { sort: { date: 1 } })).date;
+    const daysWithoutDeposit = moment(date, "YYYY-MM-DD").diff(moment(since, "YYYY-MM-DD"), "days");
+
+    for (const rule of rules) {
+      const hit =
+        rule.type === "dueAbove" ? rule.threshold > 0 && due > rule.threshold : due > 0 && daysWithoutDeposit >= rule.days;
+      if (!hit) continue;
+      let to = salesman.phone;
+      if (rule.channel === "email") {
+        const user = await usersCollection.findOne({ salesmanId });
+        to = user?.email;
+      }
+      if (!to) {
+        skipped.push({ ruleId: String(rule._id), salesmanId, name: salesman.name, reason: `No ${rule.channel === "email" ? "email" : "phone"}` });
+        continue;
+      }
+      const vars = { name: salesman.name, due, threshold: rule.threshold, days: daysWithoutDeposit, date };
+      messages.push({
+        branch,
+        ruleId: String(rule._id),
+        salesmanId,
+        channel: rule.channel,
+        to,
+        message: renderTemplate(rule.template || REMINDER_TEMPLATES[rule.type], vars),
+        dedupeKey: `${rule._id}:${salesmanId}:${date}`,
+      });
+    }
+  }
+  return { messages, skipped };
+}
+
+// Helper: queue the messages of a branch for a date; a rule reminds a salesman at most once a day
+async function queueReminders(branch, date) {
+  const { messages, skipped } = await evaluateReminderRules(branch, date);
+  let queued = 0;
+  for (const message of messages) {
+    const result = await reminderOutboxCollection.updateOne(
+      { dedupeKey: message.dedupeKey },
+      {
+        $setOnInsert: {
+          ...message,
+          status: "pending",
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: new Date(),
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount) queued++;
+  }
+  return { date, branch, matched: messages.length, queued, skipped };
+}
+
+// Helper: send every due outbox message once; failures wait 2, 4, 8... minutes before the next try
+async function processOutbox(limit = 50) {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  for (let n = 0; n < limit; n++) {
+    const now = new Date();
+    const message = await reminderOutboxCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "sending", claimedAt: { $lt: new Date(now.getTime() - REMINDER_CLAIM_MS) } },
+        ],
+      },
+      { $set: { status: "sending", claimedAt: now }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+    if (!message) break;
+    try {
+      const transport = transportFor(message.channel);
+      if (!transport) throw new Error(`Unknown channel ${message.channel}`);
+      const { providerId } = await transport.send(message);
+      await reminderOutboxCollection.updateOne(
+        { _id: message._id },
+        { $set: { status: "sent", sentAt: new Date(), providerId, lastError: null }, $unset: { claimedAt: "" } }
+      );
+      summary.sent++;
+    } catch (err) {
+      const failed = message.attempts >= REMINDER_MAX_ATTEMPTS;
+      await reminderOutboxCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: failed ? "failed" : "pending",
+            lastError: err.message,
+            nextAttemptAt: new Date(Date.now() + 2 ** message.attempts * 60 * 1000),
+          },
+          $unset: { claimedAt: "" },
+        }
+      );
+      summary[failed ? "failed" : "retrying"]++;
+    }
+  }
+  return summary;
+}
+
+// Helper: queue today's reminders of every branch, then send the outbox
+async function runReminders() {
+  const today = moment().format("YYYY-MM-DD");
+  const branches = await reminderRulesCollection.distinct("branch", { active: true });
+  for (const branch of branches) await queueReminders(branch, today);
+  return processOutbox();
+}
+
+// Get reminder rules of the branch
+app.get("/api/reminder-rules", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const rules = await reminderRulesCollection.find({ branch: req.branch }).sort({ _id: 1 }).toArray();
+    res.json(rules);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch reminder rules" });
+  }
+});
+
+// Add a reminder rule (template empty = the default Bengali template of the type)
+app.post("/api/reminder-rules", verifyToken, verifyRole("admin", "manager"), validateBody(ReminderRule), async (req, res) => {
+  try {
+    const rule = { ...req.body, branch: req.branch, createdBy: req.user.email, createdAt: new Date() };
+    if (!REMINDER_CHANNELS.includes(rule.channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${REMINDER_CHANNELS.join(", ")}` });
+    }
+    if (rule.type === "noDeposit" && !(rule.days >= 1)) return res.status(400).json({ error: "days must be at least 1" });
+    if (rule.type === "dueAbove" && !(rule.threshold > 0)) return res.status(400).json({ error: "threshold must be greater than 0" });
+    const result = await reminderRulesCollection.insertOne(rule);
+    await audit(req, { entity: "reminderRules", after: rule });
+    res.status(201).json({ insertedId: result.insertedId });
+  } catch {
+    res.status(500).json({ error: "Failed to add reminder rule" });
+  }
+});
+
+// Update a reminder rule
+app.put("/api/reminder-rules/:id", verifyToken, verifyRole("admin", "manager"), validateBody(ReminderRule, { partial: true }), async (req, res) => {
+  try {
+    const before = await reminderRulesCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Reminder rule not found" });
+    const next = { ...before, ...req.body };
+    if (!REMINDER_CHANNELS.includes(next.channel)) {
+      return res.status(400).json({ error: `channel must be one of: ${REMINDER_CHANNELS.join(", ")}` });
+    }
+    if (next.type === "noDeposit" && !(next.days >= 1)) return res.status(400).json({ error: "days must be at least 1" });
+    if (next.type === "dueAbove" && !(next.threshold > 0)) return res.status(400).json({ error: "threshold must be greater than 0" });
+    const result = await reminderRulesCollection.updateOne({ _id: before._id }, { $set: req.body });
+    await audit(req, { entity: "reminderRules", before, after: await reminderRulesCollection.findOne({ _id: before._id }) });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to update reminder rule" });
+  }
+});
+
+// Delete a reminder rule (its queued messages stay in the outbox)
+app.delete("/api/reminder-rules/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const before = await reminderRulesCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Reminder rule not found" });
+    const result = await reminderRulesCollection.deleteOne({ _id: before._id });
+    await audit(req, { entity: "reminderRules", before });
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to delete reminder rule" });
+  }
+});
+
+// POST - Check the rules now for ?date= (default today) and queue the messages; ?dryRun=true only previews
+app.post("/api/reminders/run", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const date = toDateKey(req.query.date || moment().format("YYYY-MM-DD"));
+    if (!date) return res.status(400).json({ error: "Invalid date" });
+    if (req.query.dryRun === "true") return res.json(await evaluateReminderRules(req.branch, date));
+    res.json(await queueReminders(req.branch, date));
+  } catch {
+    res.status(500).json({ error: "Failed to run reminders" });
+  }
+});
+
+// Get outbox messages of the branch (filter: status, salesmanId; newest first)
+app.get("/api/reminders/outbox", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const { status, salesmanId } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const query = { branch: req.branch };
+    if (status) query.status = status;
+    if (salesmanId) query.salesmanId = String(salesmanId);
+    const messages = await reminderOutboxCollection.find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+    res.json(messages);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch outbox" });
+  }
+});
+
+// POST - Send due outbox messages now (admin only; also runs every few minutes)
+app.post("/api/reminders/outbox/process", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    res.json(await processOutbox());
+  } catch {
+    res.status(500).json({ error: "Failed to process outbox" });
+  }
+});
+
+// POST - Try a failed message again from scratch
+app.post("/api/reminders/outbox/:id/retry", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const result = await reminderOutboxCollection.updateOne(
+      { _id: new ObjectId(req.params.id), branch: req.branch, status: "failed" },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ error: "No failed message with this id" });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to retry message" });
+  }
+});
+
+// POST - Drop a message that has not been sent yet
+app.post("/api/reminders/outbox/:id/cancel", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const result = await reminderOutboxCollection.updateOne(
+      { _id: new ObjectId(req.params.id), branch: req.branch, status: { $in: ["pending", "failed"] } },
+      { $set: { status: "cancelled", cancelledBy: req.user.email } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ error: "No unsent message with this id" });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to cancel message" });
+  }
+});
+
+// --- Retail Customers API ---
+// Shops and tea stalls buying on credit. Each customer belongs to one branch.
+// A retail sale is one row per customer and date:
+// { customerId, date, items: [{ itemId, name, qty, price, total }], totalAmount, deposit, prevDue, totalDue, currDue, note }
+// Dues chain like the salesman daily sale (see chainDues); the first row starts from the customer's openingDue.
+// `deposit` is always the sum of that day's customer payments.
+const AGING_BUCKETS = [
+  { key: "0-7", maxDays: 7 },
+  { key: "8-30", maxDays: 30 },
+  { key: "30+", maxDays: Infinity },
+];
+
+// Helper: amount of one retail sale row
+const retailAmount = (sale) =>
+  (Array.isArray(sale.items) ? sale.items : []).reduce((sum, i) => sum + (Number(i.total) || 0), 0);
+
+// Helper: re-chain a customer's rows after fromDate ("" = from the first row)
+async function recalculateCustomerDues(branch, customerId, fromDate, session) {
+  const rows = await retailSalesCollection
+    .find({ branch, customerId, date: { $gt: fromDate } }, { session })
+    .sort({ date: 1 })
+    .toArray();
+  if (!rows.length) return;
+  const [last] = await retailSalesCollection
+    .find({ branch, customerId, date: { $lte: fromDate } }, { session })
+    .sort({ date: -1 })
+    .limit(1)
+    .toArray();
+  let prevDue = last?.currDue;
+  if (!last) {
+    const customer = await customersCollection.findOne({ _id: new ObjectId(customerId) }, { session });
+    prevDue = customer?.openingDue ?? 0;
+  }
+  const changed = chainDues(rows, prevDue, retailAmount).filter(({ sale, expected }) =>
+    Object.keys(expected).some((f) => sale[f] !== expected[f])
+  );
+  if (!changed.length) return;
+  const ops = changed.map(({ sale, expected }) => ({
+    updateOne: { filter: { _id: sale._id }, update: { $set: expected } },
+  }));
+  await retailSalesCollection.bulkWrite(ops, { session, ordered: true });
+  const docs = changed.map(({ sale, expected }) => ({ _id: sale._id, date: sale.date, customerId, ...expected }));
+  afterCommit(session, () => publishRechain("retailSales", branch, docs));
+}
+
+// Helper: write the day's payment total into the customer's row and re-chain from that day
+async function applyCustomerPayments(branch, customerId, date, session) {
+  const [row] = await customerPaymentsCollection
+    .aggregate(
+      [{ $match: { branch, customerId, date } }, { $group: { _id: null, total: { $sum: "$amount" } } }],
+      { session }
+    )
+    .toArray();
+  const deposit = Number((row?.total ?? 0).toFixed(2));
+  const sale = await retailSalesCollection.findOne({ branch, customerId, date }, { session });
+  if (sale && !sale.items?.length && !deposit) {
+    // Only held the payments that are gone now
+    await retailSalesCollection.deleteOne({ _id: sale._id }, { session });
+  } else if (sale) {
+    await retailSalesCollection.updateOne({ _id: sale._id }, { $set: { deposit } }, { session });
+  } else if (deposit) {
+    // No sale that day: add an empty row so the payment is part of the due chain
+    await retailSalesCollection.insertOne(
+      { branch, customerId, date, items: [], totalAmount: 0, deposit, prevDue: 0, totalDue: 0, currDue: 0, note: "" },
+      { session }
+    );
+  }
+  await recalculateCustomerDues(branch, customerId, shiftDateKey(date, -1), session);
+}
+
+// Helper: a customer's due as of a date (opening due when there is no row yet)
+async function getCustomerDue(branch, customer, date) {
+  const query = { branch, customerId: String(customer._id) };
+  if (date) query.date = { $lte: date };
+  const [last] = await retailSalesCollection.find(query).sort({ date: -1 }).limit(1).toArray();
+  return Number(last ? last.currDue : customer.openingDue) || 0;
+}
+
+// Helper: split a due into age buckets. Payments clear the oldest sales first, so the due is
+// made of the newest sales; whatever is left is the opening due and counts as oldest.
+function ageDue(rows, due, asOf) {
+  const buckets = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+  let remaining = due;
+  let oldestUnpaid = null;
+  for (const row of [...rows].sort((a, b) => b.date.localeCompare(a.date))) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, retailAmount(row));
+    if (take <= 0) continue;
+    const days = moment(asOf, "YYYY-MM-DD").diff(moment(row.date, "YYYY-MM-DD"), "days");
+    buckets[AGING_BUCKETS.find((b) => days <= b.maxDays).key] += take;
+    remaining -= take;
+    oldestUnpaid = row.date;
+  }
+  if (remaining > 0) buckets[AGING_BUCKETS[AGING_BUCKETS.length - 1].key] += remaining;
+  Object.keys(buckets).forEach((k) => { buckets[k] = Number(buckets[k].toFixed(2)); });
+  return { buckets, oldestUnpaid };
+}
+
+// Get customers of the branch with their current due
+app.get("/api/customers", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, { sortFields: ["name", "creditLimit"], defaultSort: "name", dateRange: false });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const result = await findList(customersCollection, { branch: req.branch, ...activeFilter(req) }, list);
+    for (const customer of result.data) {
+      customer.due = await getCustomerDue(req.branch, customer);
+      customer.overLimit = customer.creditLimit > 0 && customer.due > customer.creditLimit;
+    }
+    res.json(listBody(result));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch customers" });
+  }
+});
+
+// Add a customer (creditLimit 0 = no limit)
+app.post("/api/customers", verifyToken, verifyRole("admin", "manager"), validateBody(Customer), async (req, res) => {
+  try {
+    const { name, phone, address, creditLimit, openingDue } = req.body;
+    const exists = await customersCollection.findOne({ branch: req.branch, name });
+    if (exists) return res.status(409).json({ error: "Already exists" });
+    const doc = { name, phone, address, creditLimit, openingDue, branch: req.branch, createdAt: new Date() };
+    const result = await customersCollection.insertOne(doc);
+    await audit(req, { entity: "customers", after: doc });
+    res.status(201).json({ insertedId: result.insertedId });
+  } catch {
+    res.status(500).json({ error: "Failed to add customer" });
+  }
+});
+
+// Update a customer; a new openingDue re-chains all of their rows
+app.put("/api/customers/:id", verifyToken, verifyRole("admin", "manager"), validateBody(Customer, { partial: true }), async (req, res) => {
+  try {
+    const before = await customersCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Customer not found" });
+    const updateDoc = {};
+    ["name", "phone", "address", "creditLimit", "openingDue"].forEach((field) => {
+      if (req.body[field] !== undefined) updateDoc[field] = req.body[field];
+    });
+    const customerId = String(before._id);
+    // A new opening due re-chains every retail row, so a closed date from the first row on blocks it
+    const rechain = updateDoc.openingDue !== undefined && updateDoc.openingDue !== before.openingDue;
+    const first = rechain
+      ? await retailSalesCollection.find({ branch: req.branch, customerId }).sort({ date: 1 }).limit(1).next()
+      : null;
+    const keys = [`customer:${req.branch}:${customerId}`];
+    const { closed, result } = await withOpenDays(req.branch, [first?.date], { dues: true, keys }, () =>
+      runTransaction(async (session) => {
+        const updated = await customersCollection.updateOne({ _id: before._id }, { $set: updateDoc }, { session });
+        if (rechain) await recalculateCustomerDues(req.branch, customerId, "", session);
+        const after = await customersCollection.findOne({ _id: before._id }, { session });
+        await audit(req, { entity: "customers", before, after }, session);
+        return updated;
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to update customer" });
+  }
+});
+
+// Delete a customer (archive; ?permanent=true when nothing refers to it)
+app.delete("/api/customers/:id", verifyToken, verifyRole("admin", "manager"), removeHandler("customers", "Customer"));
+app.post("/api/customers/:id/unarchive", verifyToken, verifyRole("admin", "manager"), unarchiveHandler("customers", "Customer"));
+
+// GET - Due aging of every customer of the branch as of ?date= (default today)
+app.get("/api/customers/aging", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const asOf = toDateKey(req.query.date || moment().format("YYYY-MM-DD"));
+    if (!asOf) return res.status(400).json({ error: "Invalid date" });
+    const customers = await customersCollection.find({ branch: req.branch }).sort({ name: 1 }).toArray();
+    const totals = Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, 0]));
+    const result = [];
+    for (const customer of customers) {
+      const rows = await retailSalesCollection
+        .find({ branch: req.branch, customerId: String(customer._id), date: { $lte: asOf } })
+        .toArray();
+      const due = rows.length
+        ? Number(rows.reduce((last, r) => (r.date > last.date ? r : last)).currDue) || 0
+        : Number(customer.openingDue) || 0;
+      if (!due) continue;
+      const { buckets, oldestUnpaid } = ageDue(rows, due, asOf);
+      Object.keys(totals).forEach((k) => { totals[k] += buckets[k]; });
+      result.push({
+        customerId: String(customer._id),
+        name: customer.name,
+        phone: customer.phone,
+        due,
+        creditLimit: customer.creditLimit ?? 0,
+        overLimit: customer.creditLimit > 0 && due > customer.creditLimit,
+        oldestUnpaid,
+        buckets,
+      });
+    }
+    Object.keys(totals).forEach((k) => { totals[k] = Number(totals[k].toFixed(2)); });
+    result.sort((a, b) => b.due - a.due);
+    res.json({
+      date: asOf,
+      buckets: AGING_BUCKETS.map((b) => b.key),
+      customers: result,
+      totals: { ...totals, due: Number(result.reduce((sum, c) => sum + c.due, 0).toFixed(2)) },
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to build aging report" });
+  }
+});
+
+// Get retail sales (filter: customerId, date, from, to; list contract, see List Queries)
+app.get("/api/retail-sales", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      filters: ["customerId"],
+      sortFields: ["date", "customerId", "totalAmount", "currDue"],
+      defaultSort: "date,customerId",
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const query = { branch: req.branch };
+    if (req.query.date) query.date = toDateKey(req.query.date);
+    res.json(listBody(await findList(retailSalesCollection, query, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch retail sales" });
+  }
+});
+
+// Save a customer's sale of a date (replaces that day's items). Item prices default to the
+// price book of the date. The answer flags a due above the credit limit.
+app.post("/api/retail-sales", verifyToken, verifyRole("admin", "manager"), validateBody(RetailSale), async (req, res) => {
+  try {
+    const { customerId, date, items, note } = req.body;
+    const { branch } = req;
+    const customer = await customersCollection.findOne({ _id: new ObjectId(customerId), branch });
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+    if (customer.archived) return res.status(400).json({ error: "Customer is archived" });
+
+    const priceBook = await getPriceBook(date, branch, { itemIds: items.map((i) => i.itemId) });
+    const lines = [];
+    for (const line of items.filter((i) => i.qty > 0)) {
+      const item = priceBook.items.find((i) => String(i._id) === line.itemId);
+      if (!item) return res.status(400).json({ error: `Item ${line.itemId} is not sold in this branch` });
+      const price = line.price ?? (Number(priceBook.itemPrice(item)) || 0);
+      lines.push({ itemId: line.itemId, name: item.name, qty: line.qty, price, total: Number((line.qty * price).toFixed(2)) });
+    }
+
+    const filter = { branch, customerId, date };
+    const { closed, result: sale } = await withOpenDays(branch, [date], { dues: true, keys: [`customer:${branch}:${customerId}`] }, () =>
+      runTransaction(async (session) => {
+        const before = await retailSalesCollection.findOne(filter, { session });
+        await retailSalesCollection.updateOne(
+          filter,
+          {
+            $set: { ...filter, items: lines, note, updatedBy: req.user.email, updatedAt: new Date() },
+            $setOnInsert: { deposit: 0, createdBy: req.user.email, createdAt: new Date() },
+          },
+          { upsert: true, session }
+        );
+        // Recomputes the deposit and drops a row left with neither items nor payments
+        await applyCustomerPayments(branch, customerId, date, session);
+        const after = await retailSalesCollection.findOne(filter, { session });
+        if (before || after) await audit(req, { entity: "retailSales", before, after }, session);
+        return after;
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    const due = await getCustomerDue(branch, customer);
+    res.status(201).json({
+      sale,
+      due,
+      overLimit: customer.creditLimit > 0 && due > customer.creditLimit,
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to save retail sale" });
+  }
+});
+
+// Delete a retail sale (a day with payments keeps an empty row for them)
+app.delete("/api/retail-sales/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const before = await retailSalesCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!before) return res.status(404).json({ error: "Retail sale not found" });
+    const keys = [`customer:${req.branch}:${before.customerId}`];
+    const { closed } = await withOpenDays(req.branch, [before.date], { dues: true, keys }, () =>
+      runTransaction(async (session) => {
+        await retailSalesCollection.updateOne({ _id: before._id }, { $set: { items: [], note: "" } }, { session });
+        await applyCustomerPayments(req.branch, before.customerId, before.date, session);
+        const after = await retailSalesCollection.findOne({ _id: before._id }, { session });
+        await audit(req, { entity: "retailSales", before, after }, session);
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.json({ deletedCount: 1 });
+  } catch {
+    res.status(500).json({ error: "Failed to delete retail sale" });
+  }
+});
+
+// Get customer payments (filter: customerId, method, date, from, to; list contract, see List Queries)
+app.get("/api/customer-payments", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, {
+      filters: ["customerId", "method"],
+      sortFields: ["date", "createdAt", "amount"],
+      defaultSort: "date,createdAt",
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const query = { branch: req.branch };
+    if (req.query.date) query.date = toDateKey(req.query.date);
+    res.json(listBody(await findList(customerPaymentsCollection, query, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch customer payments" });
+  }
+});
+
+// Add a customer payment
+app.post("/api/customer-payments", verifyToken, verifyRole("admin", "manager"), validateBody(CustomerPayment), async (req, res) => {
+  try {
+    const { customerId, date, amount, method, note } = req.body;
+    if (!(amount > 0)) return res.status(400).json({ error: "amount must be greater than 0" });
+    if (!PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${PAYMENT_METHODS.join(", ")}` });
+    }
+    const { branch } = req;
+    const customer = await customersCollection.findOne({ _id: new ObjectId(customerId), branch });
+    if (!customer) return res.status(404).json({ error: "Customer not found" });
+    const { closed, result } = await withOpenDays(branch, [date], { dues: true, keys: [`customer:${branch}:${customerId}`] }, () =>
+      runTransaction(async (session) => {
+        const doc = {
+          branch,
+          customerId,
+          date,
+          amount: Number(amount.toFixed(2)),
+          method,
+          note,
+          receivedBy: req.user.email,
+          createdBy: req.user.email,
+          createdAt: new Date(),
+        };
+        const inserted = await customerPaymentsCollection.insertOne(doc, { session });
+        await applyCustomerPayments(branch, customerId, date, session);
+        await audit(req, { entity: "customerPayments", after: doc }, session);
+        return inserted;
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.status(201).json({ insertedId: result.insertedId, due: await getCustomerDue(branch, customer) });
+  } catch {
+    res.status(500).json({ error: "Failed to save customer payment" });
+  }
+});
+
+// Delete a customer payment
+app.delete("/api/customer-payments/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const payment = await customerPaymentsCollection.findOne({ _id: new ObjectId(req.params.id), branch: req.branch });
+    if (!payment) return res.status(404).json({ error: "Payment not found" });
+    const keys = [`customer:${payment.branch}:${payment.customerId}`];
+    const { closed, result } = await withOpenDays(payment.branch, [payment.date], { dues: true, keys }, () =>
+      runTransaction(async (session) => {
+        const deleted = await customerPaymentsCollection.deleteOne({ _id: payment._id }, { session });
+        await applyCustomerPayments(payment.branch, payment.customerId, payment.date, session);
+        await audit(req, { entity: "customerPayments", before: payment }, session);
+        return deleted;
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to delete customer payment" });
+  }
+});
+
+// --- Reports API ---
+// Helper: profit & loss periods and totals of one branch
+async function buildProfitLoss(branch, from, to, groupBy) {
+  // Dues outstanding when the range starts: the last currDue of every salesman before `from`
+  const opening = await dailySalesCollection
+    .aggregate([
+      { $match: { branch, date: { $lt: from } } },
+      { $sort: { date: 1 } },
+      { $group: { _id: { $toString: "$salesmanId" }, currDue: { $last: "$currDue" } } },
+    ])
+    .toArray();
+  const sales = await dailySalesCollection.find({ branch, date: { $gte: from, $lte: to } }).sort({ date: 1 }).toArray();
+  // Only usage saved with yyyy-MM-dd dates can be matched by range
+  const usages = await usageCollection.find({ branch, date: { $gte: from, $lte: to } }).toArray();
+
+  const periods = {};
+  const ensurePeriod = (dateKey) => {
+    const p = getPeriod(dateKey, groupBy);
+    if (!periods[p.key]) {
+      periods[p.key] = {
+        ...p,
+        grossSales: 0,
+        deposits: 0,
+        duesOutstanding: 0,
+        productionExpense: 0,
+        margin: 0,
+        categories: {},
+      };
+    }
+    return periods[p.key];
+  };
+
+  sales.forEach((sale) => {
+    const period = ensurePeriod(sale.date);
+    period.grossSales += saleAmount(sale);
+    period.deposits += Number(sale.deposit) || 0;
+    (Array.isArray(sale.categories) ? sale.categories : []).forEach((c) => {
+      const name = c.category ?? c.name ?? "";
+      if (!period.categories[name]) period.categories[name] = { category: name, qty: 0, amount: 0 };
+      period.categories[name].qty += Number(c.qty) || 0;
+      period.categories[name].amount += Number(c.total) || 0;
+    });
+  });
+  usages.forEach((u) => {
+    ensurePeriod(u.date).productionExpense += parseFloat(u.totalExpense) || 0;
+  });
+
+  const round = (n) => Number(n.toFixed(2));
+  const result = Object.values(periods).sort((a, b) => a.start.localeCompare(b.start));
+  // Last currDue of every salesman on or before each period end (or `to` if sooner):
+  // one pass over the sorted rows, keeping a running total of the latest dues
+  const lastDue = {};
+  let duesTotal = 0;
+  opening.forEach((o) => {
+    lastDue[o._id] = Number(o.currDue) || 0;
+    duesTotal += lastDue[o._id];
+  });
+  let next = 0;
+  result.forEach((p) => {
+    const end = p.end < to ? p.end : to;
+    for (; next < sales.length && sales[next].date <= end; next++) {
+      const id = String(sales[next].salesmanId);
+      const due = Number(sales[next].currDue) || 0;
+      duesTotal += due - (lastDue[id] ?? 0);
+      lastDue[id] = due;
+    }
+    p.duesOutstanding = round(duesTotal);
+    p.grossSales = round(p.grossSales);
+    p.deposits = round(p.deposits);
+    p.productionExpense = round(p.productionExpense);
+    p.margin = round(p.grossSales - p.productionExpense);
+    p.marginPercent = p.grossSales ? round((p.margin / p.grossSales) * 100) : 0;
+    p.categories = Object.values(p.categories)
+      .map((c) => ({ ...c, qty: round(c.qty), amount: round(c.amount) }))
+      .sort((a, b) => b.amount - a.amount);
+  });
+
+  const totals = {
+    grossSales: round(result.reduce((sum, p) => sum + p.grossSales, 0)),
+    deposits: round(result.reduce((sum, p) => sum + p.deposits, 0)),
+    duesOutstanding: result.length ? result[result.length - 1].duesOutstanding : 0,
+    productionExpense: round(result.reduce((sum, p) => sum + p.productionExpense, 0)),
+  };
+  totals.margin = round(totals.grossSales - totals.productionExpense);
+  totals.marginPercent = totals.grossSales ? round((totals.margin / totals.grossSales) * 100) : 0;
+
+  return { periods: result, totals };
+}
+
+// Helper: add up per-branch totals (dues outstanding are summed as each branch's last value)
+function consolidateProfitLoss(results) {
+  const round = (n) => Number(n.toFixed(2));
+  const sum = (field) => round(results.reduce((total, r) => total + r.totals[field], 0));
+  const totals = {
+    grossSales: sum("grossSales"),
+    deposits: sum("deposits"),
+    duesOutstanding: sum("duesOutstanding"),
+    productionExpense: sum("productionExpense"),
+  };
+  totals.margin = round(totals.grossSales - totals.productionExpense);
+  totals.marginPercent = totals.grossSales ? round((totals.margin / totals.grossSales) * 100) : 0;
+  return totals;
+}
+
+// GET - Profit & loss: sales, deposits, dues, production expense and margin per period
+// ?branches=all or ?branches=a,b returns every listed branch plus consolidated totals
+app.get("/api/reports/profit-loss", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || "day";
+    if (!PERIOD_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy must be one of: ${PERIOD_GROUPS.join(", ")}` });
+    }
+    const from = toDateKey(req.query.from);
+    const to = toDateKey(req.query.to);
+    if (!from || !to || from > to) return res.status(400).json({ error: "valid from and to required" });
+
+    if (!req.query.branches) {
+      const report = await buildProfitLoss(req.branch, from, to, groupBy);
+      return res.json({ from, to, groupBy, branch: req.branch, ...report });
+    }
+
+    let codes;
+    if (req.query.branches === "all") {
+      const branches = await branchesCollection.find({ archived: { $ne: true } }).toArray();
+      codes = [...new Set([DEFAULT_BRANCH, ...branches.map((b) => b.code)])].filter((code) =>
+        canAccessBranch(req.user, code)
+      );
+    } else {
+      codes = [...new Set(String(req.query.branches).split(",").map((c) => c.trim()).filter(Boolean))];
+      const denied = codes.find((code) => !canAccessBranch(req.user, code));
+      if (denied) return res.status(403).json({ error: `No access to branch ${denied}` });
+    }
+
+    const branches = [];
+    for (const code of codes.sort()) {
+      branches.push({ branch: code, ...(await buildProfitLoss(code, from, to, groupBy)) });
+    }
+    res.json({ from, to, groupBy, branches, consolidated: consolidateProfitLoss(branches) });
+  } catch {
+    res.status(500).json({ error: "Failed to build profit & loss report" });
+  }
+});
+
+// --- Production Forecast API ---
+// Suggested pieces per item for a date, from the last few weeks of demand.
+// Demand of a day = dispatched to salesmen + ghorer mal (usage pieces when nothing was dispatched).
+// suggestion = base (same-weekday average, else last 14 days) x recent trend x (1 - returns rate)
+const FORECAST_WEEKS = 8;
+const round1 = (n) => Number(n.toFixed(1));
+
+// Helper: demand cells { [date]: { [itemId]: { dispatched, returned, ghorerMal, produced } } } for [from, to]
+async function getDemandHistory(branch, from, to) {
+  const range = { branch, date: { $gte: from, $lte: to } };
+  const history = {};
+  const cell = (date, itemId) =>
+    ((history[date] ||= {})[String(itemId)] ||= { dispatched: 0, returned: 0, ghorerMal: 0, produced: 0 });
+
+  // A saved summary sheet replaces that day's single orders (same rule as getNetSales)
+  const dayOrders = await salesmanDayOrdersCollection.find(range).toArray();
+  const summaryDates = new Set();
+  dayOrders.forEach((doc) => {
+    (Array.isArray(doc.salesman) ? doc.salesman : []).forEach((row) => {
+      summaryDates.add(doc.date);
+      cell(doc.date, row.itemId).dispatched += Number(row.qty) || 0;
+    });
+  });
+  (await salesmanOrdersCollection.find(range).toArray())
+    .filter((o) => !summaryDates.has(o.date))
+    .forEach((o) => { cell(o.date, o.itemId).dispatched += Number(o.qty) || 0; });
+  (await salesmanReturnsCollection.find(range).toArray()).forEach((r) => {
+    cell(r.date, r.itemId).returned += Number(r.qty) || 0;
+  });
+  (await ghorerMalCollection.find(range).toArray()).forEach((g) => {
+    cell(g.date, g.itemId).ghorerMal += Number(g.qty) || 0;
+  });
+  (await usageCollection.find(range).toArray()).forEach((u) => {
+    getUsageItems(u).forEach((i) => {
+      if (i.itemId) cell(u.date, i.itemId).produced += Number(i.pieces) || 0;
+    });
+  });
+  return history;
+}
+
+// Helper: suggestion for one item with the numbers behind it and a readable explanation
+function forecastItem(itemId, history, dateKey) {
+  const dates = Object.keys(history).sort();
+  // Count days only from the item's first appearance (new items have no zero history)
+  const first = dates.find((d) => history[d][itemId]);
+  const days = dates
+    .filter((d) => first && d >= first)
+    .map((date) => {
+      const c = history[date][itemId] || { dispatched: 0, returned: 0, ghorerMal: 0, produced: 0 };
+      return { date, demand: (c.dispatched + c.ghorerMal) || c.produced, dispatched: c.dispatched, returned: c.returned };
+    });
+  if (!days.length) return { suggested: 0, basis: null, explanation: ["No history for this item"] };
+
+  const avg = (list) => (list.length ? list.reduce((sum, d) => sum + d.demand, 0) / list.length : 0);
+  const target = moment(dateKey, "YYYY-MM-DD");
+  const weekday = target.format("dddd");
+  const explanation = [];
+
+  const sameDay = days.filter((d) => moment(d.date, "YYYY-MM-DD").day() === target.day());
+  let base;
+  if (sameDay.length >= 2) {
+    base = avg(sameDay);
+    explanation.push(`Average on ${weekday}s: ${round1(base)} pcs (${sameDay.length} days)`);
+  } else {
+    const lately = days.slice(-14);
+    base = avg(lately);
+    explanation.push(`Only ${sameDay.length} ${weekday}(s) in history; average of last ${lately.length} days: ${round1(base)} pcs`);
+  }
+
+  const recent = days.filter((d) => d.date >= shiftDateKey(dateKey, -7));
+  const previous = days.filter((d) => d.date < shiftDateKey(dateKey, -7) && d.date >= shiftDateKey(dateKey, -14));
+  let trend = 1;
+  if (recent.length && previous.length && avg(previous) > 0) {
+    const raw = avg(recent) / avg(previous);
+    // A single odd week should not swing production by more than 20%
+    trend = Math.min(Math.max(raw, 0.8), 1.2);
+    explanation.push(
+      `Trend: last 7 days ${round1(avg(recent))} vs previous 7 days ${round1(avg(previous))} pcs/day` +
+        ` -> x${trend.toFixed(2)}${trend !== raw ? ` (limited from x${raw.toFixed(2)})` : ""}`
+    );
+  } else {
+    explanation.push("Trend: not enough recent days -> x1.00");
+  }
+
+  const dispatched = days.reduce((sum, d) => sum + d.dispatched, 0);
+  const returned = days.reduce((sum, d) => sum + d.returned, 0);
+  const returnRate = dispatched > 0 && returned > 0 ? Math.min(returned / dispatched, 1) : null;
+  if (returnRate !== null) {
+    explanation.push(
+      `Returns: ${returned} of ${dispatched} dispatched (${(returnRate * 100).toFixed(1)}%) -> x${(1 - returnRate).toFixed(2)}`
+    );
+  } else {
+    explanation.push("Returns: none recorded");
+  }
+
+  const suggested = Math.max(Math.round(base * trend * (1 - (returnRate ?? 0))), 0);
+  explanation.push(`Suggested: ${suggested} pcs`);
+  return {
+    suggested,
+    basis: {
+      days: days.length,
+      weekdaySamples: sameDay.length,
+      base: round1(base),
+      recentAverage: round1(avg(recent)),
+      previousAverage: round1(avg(previous)),
+      trend: Number(trend.toFixed(2)),
+      returnRate: returnRate === null ? null : Number(returnRate.toFixed(3)),
+    },
+    explanation,
+  };
+}
+
+// Helper: forecast of every active item of a branch for a date
+async function buildForecast(branch, dateKey, weeks) {
+  const from = shiftDateKey(dateKey, -7 * weeks);
+  const to = shiftDateKey(dateKey, -1);
+  const history = await getDemandHistory(branch, from, to);
+  const items = await itemsCollection
+    .find({ archived: { $ne: true }, ...sharedOrOwn(branch) })
+    .sort({ _id: -1 })
+    .toArray();
+  const planned = await usageCollection.findOne({ branch, date: dateKey });
+  const plannedPieces = new Map(getUsageItems(planned).map((i) => [String(i.itemId), i.pieces]));
+  return {
+    branch,
+    date: dateKey,
+    weekday: moment(dateKey, "YYYY-MM-DD").format("dddd"),
+    from,
+    to,
+    items: items.map((item) => ({
+      itemId: String(item._id),
+      name: item.name,
+      category: item.category,
+      planned: plannedPieces.get(String(item._id)) ?? null,
+      ...forecastItem(String(item._id), history, dateKey),
+    })),
+  };
+}
+
+// GET - Suggested production for a date (?weeks= history length, default 8)
+app.get("/api/forecast/:date", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const dateKey = toDateKey(req.params.date);
+    if (!dateKey) return res.status(400).json({ error: "Invalid date" });
+    const weeks = Math.min(Math.max(Number(req.query.weeks) || FORECAST_WEEKS, 1), 52);
+    res.json(await buildForecast(req.branch, dateKey, weeks));
+  } catch {
+    res.status(500).json({ error: "Failed to build forecast" });
+  }
+});
+
+// POST - Put the suggestion into that day's usage plan (pieces per item)
+// Body: { revision, items?: [{ itemId, pieces }] } - without items every suggestion is accepted as is.
+// revision is the usage sheet revision, like POST /usage.
+app.post("/api/forecast/:date/accept", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const dateKey = toDateKey(req.params.date);
+    if (!dateKey) return res.status(400).json({ error: "Invalid date" });
+    const baseRevision = parseRevision(req.body.revision);
+    if (baseRevision === null) return res.status(400).json({ error: "revision required (from GET /api/usage/:date)" });
+    let accepted;
+    if (Array.isArray(req.body.items)) {
+      if (req.body.items.some((i) => !i?.itemId || !(Number(i.pieces) >= 0))) {
+        return res.status(400).json({ error: "Each item needs itemId and pieces >= 0" });
+      }
+      accepted = req.body.items.map((i) => ({ itemId: String(i.itemId), pieces: Number(i.pieces) }));
+    } else {
+      const forecast = await buildForecast(req.branch, dateKey, FORECAST_WEEKS);
+      accepted = forecast.items.map((i) => ({ itemId: i.itemId, pieces: i.suggested }));
+    }
+
+    const priceBook = await getPriceBook(dateKey, req.branch, { itemIds: accepted.map((i) => i.itemId) });
+    const filter = { branch: req.branch, date: dateKey };
+    const { closed, result } = await withOpenDays(req.branch, [dateKey], { keys: [`usage:${req.branch}:${dateKey}`] }, () =>
+      runTransaction(async (session) => {
+        const current = await getRevision("dailyUsage", req.branch, dateKey, session);
+        const before = await usageCollection.find(filter, { session }).toArray();
+        const { _id, ...existing } = before[0] ?? { ...filter, items: [], retails: [], totalExpense: 0, selectedItems: [] };
+        const items = getUsageItems(existing).map((i) => ({ ...i }));
+        accepted.forEach(({ itemId, pieces }) => {
+          const line = items.find((i) => String(i.itemId) === itemId);
+          const dbItem = priceBook.items.find((i) => String(i._id) === itemId);
+          if (line) line.pieces = pieces;
+          else if (dbItem) items.push({ name: dbItem.name, itemId, price: priceBook.itemPrice(dbItem), pieces });
+        });
+        const doc = await parseBody(DailyUsage, { ...existing, items });
+        if (baseRevision !== current.revision) {
+          return {
+            conflict: conflictBody("Usage sheet was changed by someone else", current, baseRevision, usageChanges(before[0], doc)),
+          };
+        }
+        await usageCollection.deleteMany(filter, { session });
+        const { insertedId } = await usageCollection.insertOne(doc, { session });
+        const revision = await bumpRevision("dailyUsage", req.branch, dateKey, req.user, session);
+        await audit(req, { entity: "dailyUsage", kind: "set", entityId: dateKey, filter, before, after: [doc] }, session);
+        await postUsageConsumption(req, { ...doc, _id: insertedId }, session);
+        return { doc: { ...doc, _id: insertedId }, revision };
+      })
+    );
+    if (closed) return res.status(423).json(closedBody(closed));
+    if (result.conflict) return res.status(409).json(result.conflict);
+
+    const io = req.app.get("io");
+    res.status(201).json({ items: result.doc.items, revision: result.revision });
+    io.emit("usage-updated", { branch: req.branch, date: dateKey, revision: result.revision });
+  } catch (err) {
+    if (isValidationError(err)) return res.status(400).json(validationErrorBody(err));
+    res.status(500).json({ error: "Failed to accept forecast" });
+  }
+});
+
+// --- Audit Log API ---
+// Each entry: { entity, kind, entityId, filter, action, route, user, branch, at, before, after }
+// kind "doc": one document (before/after are the document or null)
+// kind "docs": a list of documents changed together (e.g. all items of a category)
+// kind "set": every document matching `filter`, replaced as a whole (e.g. all daily sales of a date)
+
+// Helper: collection for an audited entity name
+const auditedCollection = (entity) =>
+  ({
+    items: itemsCollection,
+    ingredients: ingredientsCollection,
+    users: usersCollection,
+    salesmen: salesmenCollection,
+    salesmanOrders: salesmanOrdersCollection,
+    salesmanDayOrders: salesmanDayOrdersCollection,
+    ghorerMal: ghorerMalCollection,
+    dailySales: dailySalesCollection,
+    dailyUsage: usageCollection,
+    recipes: recipesCollection,
+    stockLedger: stockLedgerCollection,
+    salesmanPayments: salesmanPaymentsCollection,
+    priceHistory: priceHistoryCollection,
+    salesmanReturns: salesmanReturnsCollection,
+    branches: branchesCollection,
+    customers: customersCollection,
+    retailSales: retailSalesCollection,
+    customerPayments: customerPaymentsCollection,
+    reminderRules: reminderRulesCollection,
+    commissionRules: commissionRulesCollection,
+    closedDays: closedDaysCollection,
+    periodClosings: periodClosingsCollection,
+    salesmanAdvances: salesmanAdvancesCollection,
+  })[entity];
+
+// Audited but never restored: paying a settlement also wrote salesman payments and linked advances,
+// which putting back the settlement alone would leave behind. A draft is deleted instead.
+const UNRESTORABLE_ENTITIES = { settlements: "Settlements cannot be restored (delete a draft instead)" };
+
+// Helper: stand-in request for scheduled jobs, so their changes are audited as the "system" user
+const systemRequest = (job) => ({ method: "JOB", originalUrl: job, user: { email: "system", role: "system" }, branch: null });
+
+// Helper: write one audit entry. Inside a transaction a failure aborts the whole write;
+// otherwise it is only logged so the finished write is still answered.
+// The change is also queued as a realtime event (`event` overrides its type).
+// `branch` defaults to the request's branch (a restore passes the branch of the restored entry).
+async function audit(req, { entity, kind = "doc", entityId, filter, before = null, after = null, action, event, branch }, session) {
+  const entry = {
+    entity,
+    kind,
+    entityId: entityId !== undefined ? String(entityId) : String((after ?? before)?._id ?? ""),
+    filter: filter ?? null,
+    action: action ?? (kind === "doc" ? (!before ? "create" : !after ? "delete" : "update") : "replace"),
+    route: `${req.method} ${req.originalUrl}`,
+    user: req.user ? { email: req.user.email, role: req.user.role } : null,
+    branch: branch ?? req.branch ?? null,
+    at: new Date(),
+    before,
+    after,
+  };
+  try {
+    await auditLogCollection.insertOne(entry, { session });
+  } catch (err) {
+    if (session) throw err;
+    console.error("❌ Failed to write audit log:", err);
+  }
+  queueEvent(req, entry, event);
+}
+
+// Get audit entries (filter: entity, entityId, user (email), from, to; newest first)
+app.get("/api/audit", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const { entity, entityId, user, from, to, branch } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const query = {};
+    // Entries of other branches stay hidden (entries without a branch are shared data)
+    const allowed = userBranches(req.user);
+    if (!allowed.includes("*")) query.branch = { $in: [null, ...allowed] };
+    if (branch) {
+      if (!canAccessBranch(req.user, branch)) return res.status(403).json({ error: "No access to this branch" });
+      query.branch = branch;
+    }
+    if (entity) query.entity = entity;
+    if (entityId) query.entityId = entityId;
+    if (user) query["user.email"] = user.toLowerCase();
+    if (from || to) {
+      query.at = {};
+      if (from) query.at.$gte = moment(toDateKey(from), "YYYY-MM-DD").startOf("day").toDate();
+      if (to) query.at.$lte = moment(toDateKey(to), "YYYY-MM-DD").endOf("day").toDate();
+    }
+    const entries = await auditLogCollection.find(query).sort({ at: -1 }).limit(limit).toArray();
+    res.json(entries);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch audit log" });
+  }
+});
+
+// Get one audit entry
+app.get("/api/audit/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+    const entry = await auditLogCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!entry || (entry.branch && !canAccessBranch(req.user, entry.branch))) {
+      return res.status(404).json({ error: "Audit entry not found" });
+    }
+    res.json(entry);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch audit entry" });
+  }
+});
+
+// Undo: put back the `before` version of an audit entry (the undo itself is audited too)
+app.post("/api/audit/:id/restore", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+    const entry = await auditLogCollection.findOne({ _id: new ObjectId(req.params.id) });
+    if (!entry) return res.status(404).json({ error: "Audit entry not found" });
+    if (UNRESTORABLE_ENTITIES[entry.entity]) return res.status(400).json({ error: UNRESTORABLE_ENTITIES[entry.entity] });
+    const collection = auditedCollection(entry.entity);
+    if (!collection) return res.status(400).json({ error: "Entity cannot be restored" });
+    // Daily sales are restored a whole date at a time; a due-chain repair is undone by editing the sheets
+    if (entry.entity === "dailySales" && entry.kind !== "set") return res.status(400).json({ error: "Due-chain repairs cannot be restored" });
+    // Entries written before branches existed belong to the default branch
+    const branch = entry.branch ?? entry.filter?.branch ?? DEFAULT_BRANCH;
+    const scoped = BRANCH_ENTITIES.includes(entry.entity);
+    const beforeDocs = entry.kind === "docs" ? entry.before || [] : entry.before ? [entry.before] : [];
+    const afterDocs = entry.kind === "docs" ? entry.after || [] : entry.after ? [entry.after] : [];
+    if (entry.entity !== "dailySales" && entry.kind !== "set" && !beforeDocs.length && !afterDocs.length) {
+      return res.status(400).json({ error: "Nothing to restore" });
+    }
+    // Advances of a paid settlement were taken off its pay: they change with the settlement only
+    if (entry.entity === "salesmanAdvances") {
+      const current = await salesmanAdvancesCollection.find({ _id: { $in: [...beforeDocs, ...afterDocs].map((d) => d._id) } }).toArray();
+      if ([...beforeDocs, ...current].some((d) => d.settlementId)) {
+        return res.status(409).json({ error: "Advance is part of a paid settlement" });
+      }
+    }
+    // Sheets restore on top of the revision the caller saw when it is sent (see Revisions)
+    const baseRevision = parseRevision(req.body?.revision);
+    // Dated books of a closed date stay as they are until it is reopened (restored dues re-chain like a save);
+    // the closing records themselves are not blocked by the dates they close
+    const docs = [entry.before, entry.after].flat().filter(Boolean);
+    const closing = ["closedDays", "periodClosings"].includes(entry.entity);
+    const dates = scoped && !closing ? [entry.filter?.date, ...docs.map((d) => d.date)] : [];
+    // Locks of the due chains a restored row feeds (the daily sale takes its own below)
+    const chainKeys = docs.map((d) =>
+      entry.entity === "salesmanPayments"
+        ? `dues:${d.branch ?? DEFAULT_BRANCH}:${d.salesmanId}`
+        : ["retailSales", "customerPayments"].includes(entry.entity)
+          ? `customer:${d.branch}:${d.customerId}`
+          : null
+    );
+    const keys = [...chainKeys, entry.entity === "dailyUsage" && entry.kind === "set" && `usage:${branch}:${entry.filter.date}`];
+    const options = { dues: DUE_CHAIN_ENTITIES.includes(entry.entity), keys: keys.filter(Boolean) };
+    const { closed, result } = await withOpenDays(branch, dates, options, async () => {
+      if (entry.entity === "dailySales") {
+        // A whole date: put the rows back, then re-sync payments and dues like a normal save
+        // (a merge save only covers some salesmen: `filter` limits the restore to them)
+        const { date } = entry.filter;
+        const scope = { ...entry.filter, branch };
+        const existingIds = (await dailySalesCollection.distinct("salesmanId", scope)).map(String);
+        const allIds = [...new Set([...existingIds, ...(entry.before || []).map((r) => String(r.salesmanId))])];
+        return withLocks([`daily-sale:${branch}:${date}`, ...allIds.map((id) => `dues:${branch}:${id}`)], () =>
+          runTransaction(async (session) => {
+            const current = await dailySalesCollection.find(scope, { session }).toArray();
+            const sheet = await getRevision("dailySales", branch, date, session);
+            if (baseRevision !== null && baseRevision !== sheet.revision) {
+              const changes = dailySaleChanges(current, entry.before || []);
+              return { conflict: conflictBody("Daily sale was changed by someone else", sheet, baseRevision, changes) };
+            }
+            // Restored rows get a new revision so merge saves based on the current rows conflict
+            const revisions = new Map(current.map((r) => [String(r.salesmanId), Number(r.revision) || 0]));
+            const rows = (entry.before || []).map((r) => ({
+              ...r,
+              branch,
+              revision: (revisions.get(String(r.salesmanId)) ?? 0) + 1,
+            }));
+            await dailySalesCollection.deleteMany(scope, { session });
+            if (rows.length) await dailySalesCollection.insertMany(rows, { session });
+            await settleDailySaleDay(branch, date, allIds, rows, req.user, session);
+            await bumpRevision("dailySales", branch, date, req.user, session);
+            const after = await dailySalesCollection.find(scope, { session }).toArray();
+            await audit(
+              req,
+              { entity: "dailySales", kind: "set", entityId: date, filter: scope, before: current, after, action: "restore", branch },
+              session
+            );
+            return {};
+          })
+        );
+      }
+      if (entry.kind === "set") {
+        // Like a save of the sheet: check, replace, bump the revision and audit in one transaction
+        const usage = entry.entity === "dailyUsage";
+        const filter = scoped ? { ...entry.filter, branch } : entry.filter;
+        const restored = (entry.before || []).map((d) => (scoped ? { ...d, branch } : d));
+        return runTransaction(async (session) => {
+          const current = await collection.find(filter, { session }).toArray();
+          if (usage) {
+            const sheet = await getRevision("dailyUsage", branch, entry.filter.date, session);
+            if (baseRevision !== null && baseRevision !== sheet.revision) {
+              const changes = usageChanges(current[0], restored[0]);
+              return { conflict: conflictBody("Usage sheet was changed by someone else", sheet, baseRevision, changes) };
+            }
+          }
+          await collection.deleteMany(filter, { session });
+          if (restored.length) await collection.insertMany(restored, { session });
+          const revision = usage ? await bumpRevision("dailyUsage", branch, entry.filter.date, req.user, session) : undefined;
+          await audit(
+            req,
+            { entity: entry.entity, kind: "set", entityId: entry.entityId, filter, before: current, after: restored, action: "restore", branch },
+            session
+          );
+          // An emptied day takes its consumption with it
+          if (usage) await postUsageConsumption(req, restored[0] ?? { branch, date: entry.filter.date, items: [] }, session);
+          return { revision };
+        });
+      }
+      // "doc" / "docs": replace each old version, remove documents that did not exist before,
+      // then re-chain the dues they feed, all in one transaction
+      return runTransaction(async (session) => {
+        const idFilter = { _id: { $in: [...beforeDocs, ...afterDocs].map((d) => d._id) } };
+        const current = await collection.find(idFilter, { session }).toArray();
+        for (const doc of beforeDocs) {
+          await collection.replaceOne({ _id: doc._id }, doc, { upsert: true, session });
+        }
+        const beforeIds = new Set(beforeDocs.map((d) => String(d._id)));
+        const removeIds = afterDocs.filter((d) => !beforeIds.has(String(d._id))).map((d) => d._id);
+        if (removeIds.length) await collection.deleteMany({ _id: { $in: removeIds } }, { session });
+        await audit(
+          req,
+          {
+            entity: entry.entity,
+            kind: entry.kind,
+            entityId: entry.entityId,
+            before: entry.kind === "docs" ? current : current[0] ?? null,
+            after: entry.kind === "docs" ? beforeDocs : beforeDocs[0] ?? null,
+            action: "restore",
+            branch: scoped ? branch : null,
+          },
+          session
+        );
+        // Payments feed the daily sale deposit and due chain
+        if (entry.entity === "salesmanPayments") {
+          for (const p of [...beforeDocs, ...afterDocs]) {
+            await applyPaymentsToDailySale(p.branch ?? DEFAULT_BRANCH, p.salesmanId, p.date, session);
+          }
+        }
+        // Retail rows and payments: recompute that day's deposit and the customer's due chain
+        if (entry.entity === "retailSales" || entry.entity === "customerPayments") {
+          for (const d of [...beforeDocs, ...afterDocs]) {
+            await applyCustomerPayments(d.branch, d.customerId, d.date, session);
+          }
+        }
+        return {};
+      });
+    });
+    if (closed) return res.status(423).json(closedBody(closed));
+    if (result.conflict) return res.status(409).json(result.conflict);
+    res.json({ message: "Restored", ...(result.revision !== undefined && { revision: result.revision }) });
+
+    const io = req.app.get("io");
+    if (entry.entity === "dailySales") io.emit("daily-sale-updated", { branch, date: entry.filter.date });
+    if (entry.entity === "dailyUsage") io.emit("usage-updated", { branch, date: entry.filter.date, revision: result.revision });
+    if (entry.entity === "salesmanPayments") {
+      new Set(docs.map((p) => `${p.branch ?? DEFAULT_BRANCH}|${p.date}`)).forEach((key) => {
+        const [paymentBranch, date] = key.split("|");
+        io.emit("daily-sale-updated", { branch: paymentBranch, date });
+      });
+    }
+  } catch (err) {
+    console.error("❌ Failed to restore:", err);
+    res.status(500).json({ error: "Failed to restore" });
+  }
+});
+
+// --- Backup & Restore ---
+// A backup is one gzipped Extended JSON archive (ObjectIds and dates survive the round trip):
+// { format: "mahi-bakery-backup", version, createdAt, db, range: { from, to } | null, counts, collections: { name: [docs] } }
+// With a range only dated rows of [from, to] are saved; the other collections are always whole.
+// Sync keys and the reminder outbox are saved, so replays and sent reminders match the restored data.
+// The event log and its counter are not: a restore clears the log and moves the sequence on (see resetEvents).
+const BACKUP_FORMAT = "mahi-bakery-backup";
+const BACKUP_VERSION = 1;
+// Collection name -> whether its rows carry a yyyy-MM-dd `date`
+const BACKUP_COLLECTIONS = {
+  items: false,
+  ingredients: false,
+  users: false,
+  salesmen: false,
+  branches: false,
+  recipes: false,
+  priceHistory: false,
+  customers: false,
+  reminderRules: false,
+  periodClosings: false,
+  commissionRules: false,
+  settlements: false,
+  revisions: false,
+  auditLog: false,
+  migrations: false,
+  syncKeys: false,
+  reminderOutbox: false,
+  salesmanOrders: true,
+  ghorerMal: true,
+  salesmanDayOrders: true,
+  dailySales: true,
+  dailyUsage: true,
+  salesmanPayments: true,
+  salesmanReturns: true,
+  stockLedger: true,
+  retailSales: true,
+  customerPayments: true,
+  closedDays: true,
+  salesmanAdvances: true,
+};
+const BACKUP_MODES = ["replace", "merge"];
+const BACKUP_FILE_RE = /^[\w-]+\.json\.gz$/;
+const BACKUP_DIR = process.env.BACKUP_DIR || "";
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || 7;
+// A restore holds the archive in memory (the upload, the unpacked JSON and the parsed rows), so both
+// the upload and the unpacked JSON are limited to BACKUP_MAX_SIZE
+const BACKUP_MAX_SIZE = process.env.BACKUP_MAX_SIZE || "50mb";
+
+// Helper: bytes of a size like "50mb" (plain numbers are bytes)
+const sizeBytes = (size) => {
+  const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(size).trim());
+  if (!match) return null;
+  const unit = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }[(match[2] || "b").toLowerCase()];
+  return Math.floor(Number(match[1]) * unit);
+};
+
+// Helper: date condition of a backup range (null = no range)
+const rangeFilter = (range) => {
+  if (!range) return null;
+  const date = {};
+  if (range.from) date.$gte = range.from;
+  if (range.to) date.$lte = range.to;
+  return { date };
+};
+
+// Helper: file name of a new archive
+const backupName = (range = null, prefix = "mahi-bakery") => {
+  const stamp = moment().format("YYYYMMDD-HHmmss");
+  const rangePart = range ? `-${range.from ?? "start"}_${range.to ?? "end"}` : "";
+  return `${prefix}-${stamp}${rangePart}.json.gz`;
+};
+
+// Helper: stream a gzipped archive of every backup collection into `out`, one document at a time
+// (the whole database is never held in memory); resolves the row counts
+async function writeBackup(out, range = null) {
+  const db = client.db(DB_NAME);
+  const gzip = zlib.createGzip();
+  // Observed from the start: when the client disconnects mid-download the pipeline fails while rows
+  // are still being read, and every write waits on it as well as on "drain"
+  let failure = null;
+  const done = pipeline(gzip, out).catch((err) => {
+    failure = err;
+    throw err;
+  });
+  done.catch(() => {});
+  const write = async (text) => {
+    if (failure) throw failure;
+    if (!gzip.write(text)) await Promise.race([once(gzip, "drain"), done]);
+  };
+  const counts = {};
+  try {
+    const head = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date(), db: DB_NAME, range };
+    await write(`${BSON.EJSON.stringify(head, { relaxed: false }).slice(0, -1)},"collections":{`);
+    for (const [i, [name, dated]] of Object.entries(BACKUP_COLLECTIONS).entries()) {
+      const filter = (dated && rangeFilter(range)) || {};
+      await write(`${i ? "," : ""}${JSON.stringify(name)}:[`);
+      counts[name] = 0;
+      for await (const doc of db.collection(name).find(filter).sort({ _id: 1 })) {
+        await write(`${counts[name] ? "," : ""}${BSON.EJSON.stringify(doc, { relaxed: false })}`);
+        counts[name]++;
+      }
+      await write("]");
+    }
+    await write(`},"counts":${JSON.stringify(counts)}}`);
+    gzip.end();
+  } catch (err) {
+    gzip.destroy(err);
+    await done.catch(() => {});
+    throw err;
+  }
+  await done;
+  return counts;
+}
+
+// Helper: parse and check an uploaded archive (gzipped or plain JSON); returns { archive } or { error }
+function readArchive(buffer) {
+  let archive;
+  const maxSize = sizeBytes(BACKUP_MAX_SIZE);
+  try {
+    const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    if (gzipped && maxSize) {
+      try {
+        buffer = zlib.gunzipSync(buffer, { maxOutputLength: maxSize });
+      } catch (err) {
+        if (err.code === "ERR_BUFFER_TOO_LARGE") return { error: `Unpacked archive is larger than ${BACKUP_MAX_SIZE}` };
+        throw err;
+      }
+    } else if (gzipped) {
+      buffer = zlib.gunzipSync(buffer);
+    }
+    const text = buffer.toString("utf8");
+    // Relaxed: numbers come back as plain numbers, ObjectIds and dates as themselves
+    archive = BSON.EJSON.parse(text, { relaxed: true });
+  } catch {
+    return { error: "Archive is not a readable backup file" };
+  }
+  if (archive?.format !== BACKUP_FORMAT) return { error: "Not a mahi-bakery backup" };
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+    return { error: `Backup version ${archive.version} is not supported (this server reads up to ${BACKUP_VERSION})` };
+  }
+  const range = archive.range ?? null;
+  if (range && ((range.from && !toDateKey(range.from)) || (range.to && !toDateKey(range.to)))) {
+    return { error: "Backup range has an invalid date" };
+  }
+  if (!archive.collections || typeof archive.collections !== "object") return { error: "Backup has no collections" };
+  for (const [name, docs] of Object.entries(archive.collections)) {
+    if (!(name in BACKUP_COLLECTIONS)) return { error: `Unknown collection in backup: ${name}` };
+    if (!Array.isArray(docs)) return { error: `${name} must be a list of documents` };
+    const bad = docs.findIndex((doc) => !doc || typeof doc !== "object" || doc._id === undefined);
+    if (bad > -1) return { error: `${name}.${bad} is not a document with an _id` };
+    if (range && BACKUP_COLLECTIONS[name]) {
+      const outside = docs.findIndex(
+        (doc) => (range.from && !(doc.date >= range.from)) || (range.to && !(doc.date <= range.to))
+      );
+      if (outside > -1) return { error: `${name}.${outside} is outside the backup range` };
+    }
+  }
+  return { archive: { ...archive, range } };
+}
+
+// Helper: write an archive back.
+// replace: delete what the archive covers (whole collections, or only the range of dated ones for a
+// range backup) and insert the archive rows, one transaction per collection so a failed insert
+// leaves that collection as it was. merge: upsert the archive rows by _id and keep the rest.
+// Collections missing from the archive are left alone.
+async function restoreBackup(archive, mode) {
+  const db = client.db(DB_NAME);
+  const report = {};
+  for (const [name, docs] of Object.entries(archive.collections)) {
+    const collection = db.collection(name);
+    const dated = BACKUP_COLLECTIONS[name];
+    const result = { deleted: 0, restored: 0 };
+    // Undated collections of a range backup are never wiped
+    if (mode === "replace" && (!archive.range || dated)) {
+      const filter = (dated && rangeFilter(archive.range)) || {};
+      await runTransaction(async (session) => {
+        result.deleted = (await collection.deleteMany(filter, { session })).deletedCount;
+        if (docs.length) result.restored = (await collection.insertMany(docs, { session })).insertedCount;
+      });
+    } else if (docs.length) {
+      const ops = docs.map((doc) => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } }));
+      try {
+        const written = await collection.bulkWrite(ops, { ordered: false });
+        result.restored = written.upsertedCount + written.matchedCount;
+      } catch (err) {
+        // e.g. a row that clashes with a unique key (branch code) of a different _id: keep the rest
+        if (!err.writeErrors) throw err;
+        result.restored = (err.result?.upsertedCount ?? 0) + (err.result?.matchedCount ?? 0);
+        result.failed = err.writeErrors.length;
+      }
+    }
+    report[name] = result;
+  }
+  return report;
+}
+
+// Helper: after a restore the stored events describe data that is gone: clear them and move the
+// sequence one past the last event, so every client's cursor is behind and it refetches (`truncated`)
+async function resetEvents() {
+  await withLocks(["events"], async () => {
+    const last = await lastEventSeq();
+    await eventsCollection.deleteMany({});
+    await countersCollection.updateOne({ _id: "events" }, { $max: { seq: last + 1 } }, { upsert: true });
+  });
+}
+
+// Helper: save a whole backup into BACKUP_DIR and drop the oldest files beyond BACKUP_KEEP.
+// It is written under a temporary name first, so a half-written file is never listed.
+async function saveBackupFile(prefix) {
+  await fs.promises.mkdir(BACKUP_DIR, { recursive: true });
+  const name = backupName(null, prefix);
+  const file = path.join(BACKUP_DIR, name);
+  try {
+    await writeBackup(fs.createWriteStream(`${file}.part`));
+    await fs.promises.rename(`${file}.part`, file);
+  } catch (err) {
+    await fs.promises.unlink(`${file}.part`).catch(() => {});
+    throw err;
+  }
+  const files = await listBackupFiles();
+  for (const file of files.slice(BACKUP_KEEP)) {
+    await fs.promises.unlink(path.join(BACKUP_DIR, file.name));
+  }
+  return name;
+}
+
+// Helper: archives in BACKUP_DIR, newest first
+async function listBackupFiles() {
+  if (!BACKUP_DIR) return [];
+  const names = (await fs.promises.readdir(BACKUP_DIR).catch(() => [])).filter((n) => BACKUP_FILE_RE.test(n));
+  const files = [];
+  for (const name of names) {
+    const stat = await fs.promises.stat(path.join(BACKUP_DIR, name));
+    files.push({ name, size: stat.size, createdAt: stat.mtime });
+  }
+  return files.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Scheduled backup (only when BACKUP_DIR is set); backups and restores never overlap
+async function runScheduledBackup() {
+  if (!BACKUP_DIR) return;
+  const name = await withLocks(["backup"], () => saveBackupFile());
+  console.log(`💾 Backup saved: ${name}`);
+}
+
+// GET - Download a backup archive (?from=&to= limits the dated collections)
+app.get("/api/admin/backup", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const from = req.query.from ? toDateKey(req.query.from) : null;
+    const to = req.query.to ? toDateKey(req.query.to) : null;
+    if ((req.query.from && !from) || (req.query.to && !to)) return res.status(400).json({ error: "Invalid from/to date" });
+    if (from && to && from > to) return res.status(400).json({ error: "from must not be after to" });
+    const range = from || to ? { from, to } : null;
+    await withLocks(["backup"], () => {
+      res.set("Content-Disposition", `attachment; filename="${backupName(range)}"`);
+      res.type("application/gzip");
+      return writeBackup(res, range);
+    });
+  } catch (err) {
+    console.error("❌ Failed to create backup:", err);
+    // Already streaming: cut the download off so the client sees it failed
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ error: "Failed to create backup" });
+  }
+});
+
+// POST - Restore an archive sent as the request body, or a saved one with ?file=
+// ?mode=replace|merge (default replace); ?dryRun=true only checks the archive and shows the counts.
+// Before writing, the current data is saved to BACKUP_DIR (when set) as a pre-restore backup.
+app.post(
+  "/api/admin/restore",
+  verifyToken,
+  verifyRole("admin"),
+  express.raw({ type: () => true, limit: BACKUP_MAX_SIZE }),
+  async (req, res) => {
+    try {
+      const mode = req.query.mode || "replace";
+      if (!BACKUP_MODES.includes(mode)) return res.status(400).json({ error: "mode must be replace or merge" });
+      let buffer = req.body;
+      if (req.query.file) {
+        if (!BACKUP_DIR || !BACKUP_FILE_RE.test(req.query.file)) return res.status(400).json({ error: "Invalid backup file" });
+        const file = path.join(BACKUP_DIR, req.query.file);
+        const stat = await fs.promises.stat(file).catch(() => null);
+        if (!stat) return res.status(404).json({ error: "Backup file not found" });
+        if (sizeBytes(BACKUP_MAX_SIZE) && stat.size > sizeBytes(BACKUP_MAX_SIZE)) {
+          return res.status(413).json({ error: `Backup file is larger than ${BACKUP_MAX_SIZE}` });
+        }
+        buffer = await fs.promises.readFile(file);
+      }
+      if (!Buffer.isBuffer(buffer) || !buffer.length) return res.status(400).json({ error: "Backup archive required" });
+      const { archive, error } = readArchive(buffer);
+      if (error) return res.status(400).json({ error });
+
+      const summary = { mode, createdAt: archive.createdAt, range: archive.range };
+      if (req.query.dryRun === "true") {
+        const counts = Object.fromEntries(Object.entries(archive.collections).map(([name, docs]) => [name, docs.length]));
+        return res.json({ ...summary, dryRun: true, counts });
+      }
+      const result = await withLocks(["backup"], async () => {
+        const safetyBackup = BACKUP_DIR ? await saveBackupFile("pre-restore") : null;
+        const collections = await restoreBackup(archive, mode);
+        await resetEvents();
+        return { safetyBackup, collections };
+      });
+      console.log(`♻️ Backup restored (${mode}) by ${req.user.email}`);
+      res.json({ ...summary, ...result });
+
+      const io = req.app.get("io");
+      io.emit("backup-restored", { mode });
+    } catch (err) {
+      console.error("❌ Failed to restore backup:", err);
+      res.status(500).json({ error: "Failed to restore backup" });
+    }
+  }
+);
+
+// GET - Archives saved in BACKUP_DIR
+app.get("/api/admin/backups", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    res.json({ dir: BACKUP_DIR || null, keep: BACKUP_KEEP, files: await listBackupFiles() });
+  } catch {
+    res.status(500).json({ error: "Failed to list backups" });
+  }
+});
+
+// POST - Save a backup into BACKUP_DIR now
+app.post("/api/admin/backups", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    if (!BACKUP_DIR) return res.status(400).json({ error: "BACKUP_DIR is not set" });
+    const name = await withLocks(["backup"], () => saveBackupFile());
+    res.status(201).json({ name });
+  } catch (err) {
+    console.error("❌ Failed to save backup:", err);
+    res.status(500).json({ error: "Failed to save backup" });
+  }
+});
+
+// GET - Download a saved archive
+app.get("/api/admin/backups/:name", verifyToken, verifyRole("admin"), async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!BACKUP_DIR || !BACKUP_FILE_RE.test(name)) return res.status(400).json({ error: "Invalid backup file" });
+    const buffer = await fs.promises.readFile(path.join(BACKUP_DIR, name)).catch(() => null);
+    if (!buffer) return res.status(404).json({ error: "Backup file not found" });
+    res.set("Content-Disposition", `attachment; filename="${name}"`);
+    res.type("application/gzip").send(buffer);
+  } catch {
+    res.status(500).json({ error: "Failed to download backup" });
+  }
+});
+
+// --- Realtime Events ---
+// Every audited write is published as a typed event "<entity>:<action>" (e.g. "items:update",
+// "dailySales:replace") once the request has succeeded. Each event: { seq, type, rooms, data, at }
+// Rooms: "entity:<name>", "date:<yyyy-MM-dd>", "salesman:<id>". A salesman room only gets that
+// salesman's own rows. Per-branch data (BRANCH_ENTITIES) goes to "branch:<code>:entity:<name>" and
+// "branch:<code>:date:<yyyy-MM-dd>" instead. Events are kept for a week so a reconnecting client can replay by `seq`.
+const EVENT_TTL_SECONDS = 7 * 24 * 60 * 60;
+const ROOM_KINDS = ["entity", "date", "salesman"];
+// Entity rooms a salesman may join (everything else carries other salesmen's data)
+const SALESMAN_ENTITY_ROOMS = ["items", "categories", "priceHistory"];
+
+// Helper: may this user join the room?
+function canJoinRoom(user, room) {
+  const branchRoom = /^branch:([^:]+):((?:entity|date):.+)$/.exec(String(room));
+  if (branchRoom) return canAccessBranch(user, branchRoom[1]) && canJoinRoom(user, branchRoom[2]);
+  const [kind, ...rest] = String(room).split(":");
+  const value = rest.join(":");
+  if (!ROOM_KINDS.includes(kind) || !value) return false;
+  if (kind === "entity" && value === "users") return user.role === "admin";
+  if (user.role !== "salesman") return true;
+  if (kind === "salesman") return value === String(user.salesmanId);
+  return kind === "entity" && SALESMAN_ENTITY_ROOMS.includes(value);
+}
+
+// Helper: changed top-level fields { field: { from, to } }
+function diffDocs(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { from: from ?? null, to: to ?? null };
+  });
+  return diff;
+}
+
+// Helper: a salesman's share of a document (day orders hold every salesman in one doc)
+function salesmanParts(doc) {
+  if (doc.salesmanId) return { [String(doc.salesmanId)]: doc };
+  if (!Array.isArray(doc.salesman)) return {};
+  const parts = {};
+  doc.salesman.forEach((row) => {
+    const sid = String(row.salesmanId);
+    parts[sid] = { ...doc, salesman: doc.salesman.filter((r) => String(r.salesmanId) === sid) };
+  });
+  return parts;
+}
+
+// Helper: highest stored event sequence number (the counter keeps it once every event has expired)
+async function lastEventSeq() {
+  const [last] = await eventsCollection.find({}, { projection: { seq: 1 } }).sort({ seq: -1 }).limit(1).toArray();
+  const counter = await countersCollection.findOne({ _id: "events" });
+  return Math.max(last?.seq ?? 0, counter?.seq ?? 0);
+}
+
+// Helper: store one event and send it to its rooms. The seq is taken at insert time (last seq + 1, tried
+// again when another server took it first), so events are stored and sent in seq order.
+async function publishEvent(io, type, rooms, data) {
+  await withLocks(["events"], async () => {
+    for (;;) {
+      const event = { seq: (await lastEventSeq()) + 1, type, rooms, data, at: new Date() };
+      try {
+        await eventsCollection.insertOne(event);
+      } catch (err) {
+        if (err.code === 11000) continue;
+        throw err;
+      }
+      await countersCollection.updateOne({ _id: "events" }, { $max: { seq: event.seq } }, { upsert: true });
+      const { _id, ...payload } = event;
+      io.to(rooms).emit(type, payload);
+      return;
+    }
+  });
+}
+
+// Helper: publish rows whose dues were re-chained by a save of an earlier date (`<entity>:rechain`)
+async function publishRechain(entity, branch, rows, extraRooms = []) {
+  const prefix = `branch:${branch}:`;
+  const dates = [...new Set(rows.map((r) => r.date))];
+  const rooms = [`${prefix}entity:${entity}`, ...dates.map((d) => `${prefix}date:${d}`), ...extraRooms];
+  await publishEvent(app.get("io"), `${entity}:rechain`, rooms, { docs: rows });
+}
+
+// Helper: publish the events of one audit entry
+async function publishAuditEvent(io, entry) {
+  const docs =
+    entry.kind === "doc" ? [entry.after ?? entry.before].filter(Boolean) : entry.after ?? entry.before ?? [];
+  const dates = new Set(docs.map((d) => d.date).filter(Boolean));
+  if (entry.filter?.date) dates.add(entry.filter.date);
+  const prefix = BRANCH_ENTITIES.includes(entry.entity) ? `branch:${entry.branch ?? DEFAULT_BRANCH}:` : "";
+  const rooms = [`${prefix}entity:${entry.entity}`, ...[...dates].map((d) => `${prefix}date:${d}`)];
+  if (entry.type.startsWith("categories:")) rooms.push("entity:categories");
+  const data =
+    entry.kind === "doc"
+      ? { id: entry.entityId, doc: entry.after, diff: diffDocs(entry.before, entry.after) }
+      : { id: entry.entityId, filter: entry.filter, docs };
+  await publishEvent(io, entry.type, rooms, data);
+
+  // Salesman rooms: only that salesman's part of the change
+  const bySalesman = {};
+  docs.forEach((doc) => {
+    Object.entries(salesmanParts(doc)).forEach(([sid, part]) => {
+      (bySalesman[sid] ||= []).push(part);
+    });
+  });
+  for (const [sid, own] of Object.entries(bySalesman)) {
+    await publishEvent(io, entry.type, [`salesman:${sid}`], { id: entry.entityId, filter: entry.filter, docs: own });
+  }
+}
+
+// Helper: remember an audited change on the request. Keyed by entity + id so a retried
+// transaction does not queue the same change twice.
+function queueEvent(req, entry, type) {
+  if (!req.events) return;
+  req.events.set(`${entry.entity}:${entry.entityId}`, { ...entry, type: type ?? `${entry.entity}:${entry.action}` });
+}
+
+// Middleware: publish the queued events after a successful response
+function collectEvents(req, res, next) {
+  req.events = new Map();
+  res.on("finish", async () => {
+    if (res.statusCode >= 400 || !req.events.size) return;
+    const io = req.app.get("io");
+    try {
+      for (const entry of req.events.values()) await publishAuditEvent(io, entry);
+    } catch (err) {
+      console.error("❌ Failed to publish events:", err);
+    }
+  });
+  next();
+}
+
+// Helper: events after `since` whose rooms match `roomsFilter` (oldest first)
+async function replayEvents(since, roomsFilter) {
+  const limit = 1000;
+  const events = await eventsCollection
+    .find({ seq: { $gt: since }, rooms: roomsFilter }, { projection: { _id: 0 } })
+    .sort({ seq: 1 })
+    .limit(limit + 1)
+    .toArray();
+  const oldest = await eventsCollection.find({}).sort({ seq: 1 }).limit(1).next();
+  const latestSeq = await lastEventSeq();
+  const more = events.length > limit;
+  return {
+    events: events.slice(0, limit),
+    latestSeq,
+    // Where to continue from: the last event returned (never past events not seen yet)
+    cursor: events.length ? events[Math.min(events.length, limit) - 1].seq : since,
+    more,
+    // Older events already expired (or were cleared by a restore): the client has to refetch instead
+    truncated: since < latestSeq && (!oldest || oldest.seq > since + 1),
+  };
+}
+
+// Socket handlers: subscribe / unsubscribe to rooms, replay missed events
+function registerEventHandlers(socket) {
+  const user = socket.data.user;
+  const allowedRooms = (rooms) => (Array.isArray(rooms) ? rooms : [rooms]).filter((r) => canJoinRoom(user, r));
+  const reply = (ack, body) => typeof ack === "function" && ack(body);
+
+  socket.on("subscribe", async ({ rooms } = {}, ack) => {
+    const joined = allowedRooms(rooms);
+    await socket.join(joined);
+    reply(ack, { rooms: joined, denied: (Array.isArray(rooms) ? rooms : [rooms]).filter((r) => !joined.includes(r)) });
+  });
+  socket.on("unsubscribe", async ({ rooms } = {}, ack) => {
+    const left = Array.isArray(rooms) ? rooms : [rooms];
+    await Promise.all(left.map((room) => socket.leave(room)));
+    reply(ack, { rooms: left });
+  });
+  // rooms defaults to the socket's current rooms
+  socket.on("replay", async ({ since = 0, rooms } = {}, ack) => {
+    try {
+      const target = rooms ? allowedRooms(rooms) : [...socket.rooms].filter((r) => r !== socket.id);
+      reply(ack, await replayEvents(Number(since) || 0, { $in: target }));
+    } catch {
+      reply(ack, { error: "Failed to replay events" });
+    }
+  });
+}
+
+// --- Offline Sync API ---
+// POST /api/sync { mutations: [{ key, method, path, body }], cursor }
+// Mutations are applied in order, each at most once per user and idempotency `key`: a resent key
+// gets the stored result back instead of being applied again. The answer also carries the
+// realtime events since `cursor` (an event `seq`), so an offline client can catch up.
+const SYNC_KEY_TTL_SECONDS = 30 * 24 * 60 * 60;
+const SYNC_MAX_MUTATIONS = 200;
+// A key still "pending" after this long was left by a crashed server and may be applied again
+const SYNC_CLAIM_MS = 10 * 60 * 1000;
+// Routes a queued mutation may call (same handlers as the REST routes, without verifyToken)
+const SYNC_ROUTES = {
+  "POST /api/salesman-orders": () => saveSalesmanOrder,
+  "POST /api/ghorer-mal": () => saveGhorerMal,
+  "POST /api/salesman-payments": () => addPayment,
+  "POST /api/salesman-returns": () => saveReturn,
+};
+
+// Helper: run a route's handlers on a derived request and capture the answer
+async function runHandlers(handlers, req) {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    sent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      this.sent = true;
+      return this;
+    },
+    set() {
+      return this;
+    },
+  };
+  for (const handler of handlers) {
+    let next = false;
+    await handler(req, res, () => { next = true; });
+    if (!next || res.sent) break;
+  }
+  return { status: res.statusCode, body: res.body };
+}
+
+// Helper: rooms whose events a user may catch up on
+const syncRoomsFilter = (user) => {
+  if (user.role === "salesman") {
+    return { $in: [`salesman:${user.salesmanId}`, ...SALESMAN_ENTITY_ROOMS.map((e) => `entity:${e}`)] };
+  }
+  if (user.role === "admin") return { $regex: "^(branch:[^:]+:)?entity:" };
+  // Branch codes only hold [a-z0-9-], safe inside the pattern
+  const branches = userBranches(user);
+  const code = branches.includes("*") ? "[^:]+" : `(${branches.join("|")})`;
+  return { $regex: `^(branch:${code}:)?entity:`, $nin: ["entity:users"] };
+};
+
+// Helper: apply one queued mutation once; returns { key, status, body, replayed }
+async function applyMutation(req, mutation) {
+  const { key, method = "POST", path, body } = mutation || {};
+  if (typeof key !== "string" || !key || key.length > 100) {
+    return { key: key ?? null, status: 400, body: { error: "key required (max 100 characters)" } };
+  }
+  const route = `${String(method).toUpperCase()} ${path}`;
+  const handlers = SYNC_ROUTES[route]?.();
+  if (!handlers) return { key, status: 400, body: { error: `Unsupported mutation: ${route}` } };
+
+  const _id = `${req.user.email}:${key}`;
+  try {
+    await syncKeysCollection.insertOne({ _id, route, status: "pending", createdAt: new Date(), claimedAt: new Date() });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    const seen = await syncKeysCollection.findOne({ _id });
+    if (seen.route !== route) return { key, status: 409, body: { error: "key already used for another mutation" } };
+    if (seen.status !== "pending") return { key, status: seen.result.status, body: seen.result.body, replayed: true };
+    const stale = new Date(Date.now() - SYNC_CLAIM_MS);
+    const claimed = await syncKeysCollection.updateOne(
+      { _id, status: "pending", claimedAt: { $not: { $gte: stale } } },
+      { $set: { claimedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount) return { key, status: 409, body: { error: "Mutation is still being applied" } };
+  }
+
+  let result;
+  try {
+    // Defined, not assigned: Express 5 has a getter-only `query` on the request prototype
+    const own = (value) => ({ value, writable: true, enumerable: true });
+    const subReq = Object.create(req, {
+      method: own(String(method).toUpperCase()),
+      originalUrl: own(path),
+      url: own(path),
+      params: own({}),
+      query: own({}),
+      body: own(body && typeof body === "object" ? { ...body } : {}),
+    });
+    result = await runHandlers(handlers, subReq);
+  } catch {
+    result = { status: 500, body: { error: "Failed to apply mutation" } };
+  }
+  // Server errors are not remembered so the client can retry the same key
+  if (result.status >= 500) await syncKeysCollection.deleteOne({ _id });
+  else await syncKeysCollection.updateOne({ _id }, { $set: { status: "done", result, doneAt: new Date() } });
+  return { key, ...result, replayed: false };
+}
+
+app.post("/api/sync", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const mutations = req.body.mutations ?? [];
+    if (!Array.isArray(mutations)) return res.status(400).json({ error: "mutations must be an array" });
+    if (mutations.length > SYNC_MAX_MUTATIONS) {
+      return res.status(400).json({ error: `At most ${SYNC_MAX_MUTATIONS} mutations per sync` });
+    }
+    const cursor = Number(req.body.cursor) || 0;
+
+    const results = [];
+    for (const mutation of mutations) {
+      results.push(await applyMutation(req, mutation));
+    }
+
+    // Changes from this batch are published after the answer, so they come with the next sync
+    const changes = await replayEvents(cursor, syncRoomsFilter(req.user));
+    res.json({
+      results,
+      changes: changes.events,
+      cursor: changes.cursor,
+      more: changes.more,
+      truncated: changes.truncated,
+    });
+  } catch (err) {
+    console.error("❌ Failed to sync:", err);
+    res.status(500).json({ error: "Failed to sync" });
+  }
+});
+
+// --- Items Search API ---
+// ?query= matches names as plain text; list contract (see List Queries) with ?category=
+app.get("/api/items/search", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, { filters: ["category"], sortFields: ["name", "price"], defaultSort: "_id", dateRange: false });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const { query } = req.query;
+    let searchQuery = { ...activeFilter(req), ...sharedOrOwn(req.branch) };
+    if (query) {
+      searchQuery = { ...searchQuery, name: { $regex: escapeRegex(query), $options: "i" } };
+    }
+    const result = await findList(itemsCollection, searchQuery, list);
+    result.data.forEach((item) => { if (item.price === undefined) item.price = ""; });
+    res.json(listBody(result, "items"));
+  } catch {
+    res.status(500).json({ error: "Failed to search items" });
+  }
+});
+
+// --- Ingredients Search API ---
+app.get("/api/ingredients/search", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, { sortFields: ["name", "price"], defaultSort: "-_id", dateRange: false });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const { query } = req.query;
+    let searchQuery = activeFilter(req);
+    if (query) {
+      searchQuery = { ...searchQuery, name: { $regex: escapeRegex(query), $options: "i" } };
+    }
+    const result = await findList(ingredientsCollection, searchQuery, list);
+    result.data.forEach((ing) => { if (ing.price === undefined) ing.price = ""; });
+    res.json(listBody(result, "ingredients"));
+  } catch {
+    res.status(500).json({ error: "Failed to search ingredients" });
+  }
+});
+
+// --- Salesmen Search API ---
+app.get("/api/salesmen/search", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const list = parseListQuery(req.query, { sortFields: ["name"], defaultSort: "_id", dateRange: false });
+    if (list.error) return res.status(400).json({ error: list.error });
+    const { query } = req.query;
+    let searchQuery = { ...activeFilter(req), ...sharedOrOwn(req.branch) };
+    if (query) {
+      searchQuery = { ...searchQuery, name: { $regex: escapeRegex(query), $options: "i" } };
+    }
+    res.json(listBody(await findList(salesmenCollection, searchQuery, list), "salesmen"));
+  } catch {
+    res.status(500).json({ error: "Failed to search salesmen" });
+  }
+});
+
+// --- Categories API ---
+// Get all unique categories from items, with their price as of ?date= (first item's price for a category without price history)
+app.get("/api/categories", verifyToken, verifyRole("admin", "manager", "salesman", "viewer"), async (req, res) => {
+  try {
+    const pipeline = [
+      { $match: { category: { $exists: true, $ne: "" }, archived: { $ne: true }, ...sharedOrOwn(req.branch) } },
+      {
+        $group: {
+          _id: "$category",
+          price: { $first: "$price" }
+        }
+      }
+      // Remove $sort here, we'll sort manually below
+    ];
+    const categories = await itemsCollection.aggregate(pipeline).toArray();
+    // Price as of ?date= (default today)
+    const dateKey = toDateKey(req.query.date || moment().format("YYYY-MM-DD"));
+    if (!dateKey) return res.status(400).json({ error: "Invalid date" });
+    const book = await getPriceBook(dateKey, req.branch, { itemIds: [] });
+    // Format: { category, price }
+    const formatted = categories.map(c => ({ category: c._id, price: book.categoryPrice(c._id) ?? c.price ?? "" }));
+
+    // Desired order
+    const desiredOrder = ["কাচা", "বড়", "ট্রে", "পেস্ট্রি"];
+    // Sort by desired order, others go after
+    formatted.sort((a, b) => {
+      const idxA = desiredOrder.indexOf(a.category);
+      const idxB = desiredOrder.indexOf(b.category);
+      if (idxA === -1 && idxB === -1) {
+        return a.category.localeCompare(b.category, "bn");
+      }
+      if (idxA === -1) return 1;
+      if (idxB === -1) return -1;
+      return idxA - idxB;
+    });
+
+    res.json(formatted);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+// Update price for all items in a category
+app.put("/api/categories/:category", verifyToken, verifyRole("admin", "manager"), validateBody(Item, { partial: true }), async (req, res) => {
+  try {
+    const category = req.params.category;
+    const { price } = req.body;
+    if (!category) return res.status(400).json({ error: "Category required" });
+    // An admin sets the shared price (shared items and this branch's own); anyone else only
+    // this branch's price and the items the branch owns
+    const shared = req.user.role === "admin";
+    const filter = shared ? { category, ...sharedOrOwn(req.branch) } : { category, branch: req.branch };
+    const first = await itemsCollection.findOne(filter);
+    if (price !== undefined && price !== "" && !isNaN(Number(price))) {
+      await recordPrice(req, {
+        scope: "category",
+        category,
+        price,
+        effectiveFrom: moment().format("YYYY-MM-DD"),
+        previousPrice: first?.price,
+        branch: shared ? null : req.branch,
+      });
+    }
+    const before = await itemsCollection.find(filter).toArray();
+    const result = await itemsCollection.updateMany(filter, { $set: { price } });
+    const after = await itemsCollection.find(filter).toArray();
+    await audit(req, { entity: "items", kind: "docs", entityId: `category:${category}`, before, after, event: "categories:update" });
+    res.json({ modifiedCount: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to update category price" });
+  }
+});
+
+// --- Price History API ---
+// Each entry: { scope: "item" | "category", itemId, category, price, effectiveFrom, branch, createdBy, createdAt }
+// The price of an item on a date is the latest entry (item or its category) with effectiveFrom <= date;
+// on the same day an item entry wins. Items without history keep their stored `price`.
+// `branch` null is a shared price; a branch entry overrides shared entries from its date on.
+// The stored `price` on items is kept equal to today's price for older clients.
+const BASELINE_DATE = "1970-01-01";
+
+// Helper: price lookups as of a date (a branch sees its own entries over the shared ones).
+// Only the entries in effect on the date are read. `itemIds` limits the loaded `items`
+// to those ids (default: every item of the branch; [] loads none).
+async function getPriceBook(dateKey, branch = null, { itemIds } = {}) {
+  // Latest shared and latest branch entry of every item / category up to the date
+  const entries = await priceHistoryCollection
+    .aggregate([
+      { $match: { effectiveFrom: { $lte: dateKey }, ...sharedOrOwn(branch) } },
+      { $sort: { effectiveFrom: -1, createdAt: -1 } },
+      {
+        $group: {
+          _id: {
+            scope: "$scope",
+            itemId: { $ifNull: ["$itemId", null] },
+            category: { $ifNull: ["$category", null] },
+            branch: { $ifNull: ["$branch", null] },
+          },
+          entry: { $first: "$$ROOT" },
+        },
+      },
+      { $replaceWith: "$entry" },
+    ])
+    .toArray();
+  // Same day: the branch entry is applied after the shared one
+  entries.sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || Number(Boolean(a.branch)) - Number(Boolean(b.branch)));
+  const itemLatest = {};
+  const categoryLatest = {};
+  entries.forEach((e) => {
+    if (e.scope === "item") itemLatest[e.itemId] = e;
+    else categoryLatest[e.category] = e;
+  });
+  const itemQuery = sharedOrOwn(branch);
+  if (itemIds) {
+    itemQuery._id = { $in: itemIds.filter((id) => ObjectId.isValid(String(id))).map((id) => new ObjectId(String(id))) };
+  }
+  const items = itemIds?.length === 0 ? [] : await itemsCollection.find(itemQuery).sort({ _id: 1 }).toArray();
+
+  const itemPrice = (item) => {
+    const ie = itemLatest[String(item._id)];
+    const ce = categoryLatest[item.category];
+    if (ie && (!ce || ie.effectiveFrom >= ce.effectiveFrom)) return ie.price;
+    if (ce) return ce.price;
+    return item.price ?? "";
+  };
+  // null when the category has no entry up to the date
+  const categoryPrice = (category) => categoryLatest[category]?.price ?? null;
+  const itemPriceByName = (name) => {
+    const item = items.find((i) => i.name === name);
+    return item ? itemPrice(item) : "";
+  };
+  return { items, itemPrice, categoryPrice, itemPriceByName };
+}
+
+// Helper: add a price entry; the first shared entry of an item/category also keeps its old price as baseline
+// (before its first entry a branch falls back to the shared price)
+async function recordPrice(req, { scope, itemId, category, price, effectiveFrom, previousPrice, branch = null }) {
+  const user = req.user;
+  const target = scope === "item" ? { scope, itemId: String(itemId), branch } : { scope, category, branch };
+  const hasHistory = await priceHistoryCollection.findOne(target);
+  if (!branch && !hasHistory && previousPrice !== undefined && previousPrice !== "" && !isNaN(Number(previousPrice))) {
+    const baseline = {
+      ...target,
+      price: Number(previousPrice),
+      effectiveFrom: BASELINE_DATE,
+      createdBy: user?.email ?? "",
+      createdAt: new Date(),
+    };
+    await priceHistoryCollection.insertOne(baseline);
+    await audit(req, { entity: "priceHistory", after: baseline });
+  }
+  // One entry per target and day: a second change on the same day replaces the first
+  const before = await priceHistoryCollection.findOne({ ...target, effectiveFrom });
+  const entry = await priceHistoryCollection.findOneAndUpdate(
+    { ...target, effectiveFrom },
+    { $set: { ...target, price: Number(price), effectiveFrom, createdBy: user?.email ?? "", createdAt: new Date() } },
+    { upsert: true, returnDocument: "after" }
+  );
+  await audit(req, { entity: "priceHistory", before, after: entry });
+  return entry;
+}
+
+// Helper: copy today's price onto the stored `price` field of every item
+// (shared items get the shared price, branch items their branch's price).
+// Audited as `req`, or as the system user when the hourly job runs it.
+async function applyDuePrices(req = systemRequest("applyDuePrices")) {
+  const today = moment().format("YYYY-MM-DD");
+  const owners = [null, ...(await itemsCollection.distinct("branch", { branch: { $ne: null } }))];
+  const ops = [];
+  const changes = [];
+  for (const owner of owners) {
+    const book = await getPriceBook(today, owner);
+    book.items
+      .filter((item) => (item.branch ?? null) === owner && String(book.itemPrice(item)) !== String(item.price ?? ""))
+      .forEach((item) => {
+        ops.push({ updateOne: { filter: { _id: item._id }, update: { $set: { price: book.itemPrice(item) } } } });
+        changes.push({ before: item, after: { ...item, price: book.itemPrice(item) } });
+      });
+  }
+  if (ops.length) await itemsCollection.bulkWrite(ops);
+  for (const { before, after } of changes) {
+    await audit(req, { entity: "items", before, after, action: "price" });
+  }
+  return ops.length;
+}
+
+// Helper: reprice daily sale categories with the category price of that date
+const priceCategories = (categories, book) =>
+  (Array.isArray(categories) ? categories : []).map((c) => {
+    const qty = Number(c.qty);
+    const price = Number(book.categoryPrice(c.category ?? c.name));
+    if (c.qty === undefined || c.qty === "" || isNaN(qty) || !price) return c;
+    return { ...c, price, total: Number((qty * price).toFixed(2)) };
+  });
+
+// Get price history of the branch, shared entries included (filter: itemId or category; ?upcoming=true for scheduled changes only)
+app.get("/api/prices", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const { itemId, category, upcoming } = req.query;
+    const query = sharedOrOwn(req.branch);
+    if (itemId) Object.assign(query, { scope: "item", itemId });
+    else if (category) Object.assign(query, { scope: "category", category });
+    if (upcoming === "true") query.effectiveFrom = { $gt: moment().format("YYYY-MM-DD") };
+    const entries = await priceHistoryCollection.find(query).sort({ effectiveFrom: 1 }).toArray();
+    res.json(entries);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch price history" });
+  }
+});
+
+// Schedule a price change for an item or a category from a date (today or later)
+// `branch` makes it a price of that branch only; without it the price is shared.
+app.post("/api/prices", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const { itemId, category, price, effectiveFrom } = req.body;
+    const branch = req.body.branch || null;
+    if (!itemId === !category) return res.status(400).json({ error: "itemId or category required" });
+    if (branch && !canAccessBranch(req.user, branch)) return res.status(403).json({ error: "No access to this branch" });
+    if (price === undefined || price === "" || isNaN(Number(price)) || Number(price) < 0) {
+      return res.status(400).json({ error: "valid price required" });
+    }
+    const today = moment().format("YYYY-MM-DD");
+    const dateKey = toDateKey(effectiveFrom || today);
+    if (!dateKey) return res.status(400).json({ error: "Invalid effectiveFrom" });
+    if (dateKey < today) return res.status(400).json({ error: "effectiveFrom cannot be in the past" });
+
+    let previousPrice;
+    if (itemId) {
+      if (!ObjectId.isValid(itemId)) return res.status(400).json({ error: "Invalid itemId" });
+      const item = await itemsCollection.findOne({ _id: new ObjectId(itemId), ...sharedOrOwn(branch ?? req.branch) });
+      if (!item) return res.status(404).json({ error: "Item not found" });
+      previousPrice = item.price;
+    } else {
+      const item = await itemsCollection.findOne({ category, ...sharedOrOwn(branch ?? req.branch) });
+      if (!item) return res.status(404).json({ error: "Category not found" });
+      previousPrice = item.price;
+    }
+    const entry = await recordPrice(req, {
+      scope: itemId ? "item" : "category",
+      itemId,
+      category,
+      price,
+      effectiveFrom: dateKey,
+      previousPrice,
+      branch,
+    });
+    if (dateKey === today) await applyDuePrices(req);
+    res.status(201).json(entry);
+  } catch {
+    res.status(500).json({ error: "Failed to schedule price" });
+  }
+});
+
+// Cancel a scheduled (future) price change
+app.delete("/api/prices/:id", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid id" });
+    const entry = await priceHistoryCollection.findOne({ _id: new ObjectId(id) });
+    if (!entry) return res.status(404).json({ error: "Price entry not found" });
+    if (entry.branch && !canAccessBranch(req.user, entry.branch)) {
+      return res.status(403).json({ error: "No access to this branch" });
+    }
+    if (entry.effectiveFrom <= moment().format("YYYY-MM-DD")) {
+      return res.status(400).json({ error: "Only future price changes can be cancelled" });
+    }
+    const result = await priceHistoryCollection.deleteOne({ _id: entry._id });
+    await audit(req, { entity: "priceHistory", before: entry });
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to cancel price" });
+  }
+});
+
+// --- Recipes API ---
+// Each recipe: { itemId, batchPieces, ingredients: [{ ingredientId, qty }] }
+// qty is for one batch of `batchPieces` pieces (batchPieces 1 = per piece),
+// in the same unit the ingredient price is given in (kg, litre, piece...)
+
+// Helper: usage items as [{ name, itemId, price, pieces }]
+const getUsageItems = (usage) => (Array.isArray(usage?.items) ? usage.items : []);
+
+// Helper: theoretical ingredient consumption and cost for a usage document
+async function computeTheoreticalUsage(usage) {
+  const usageItems = getUsageItems(usage).filter((i) => Number(i.pieces) > 0);
+  const dbItems = await itemsCollection.find({}).toArray();
+  const recipes = await recipesCollection.find({}).toArray();
+  const dbIngredients = await ingredientsCollection.find({}).toArray();
+  const recipeMap = {};
+  recipes.forEach((r) => { recipeMap[String(r.itemId)] = r; });
+  const ingredientMap = {};
+  dbIngredients.forEach((ing) => { ingredientMap[String(ing._id)] = ing; });
+
+  const consumption = {};
+  const items = [];
+  const missingRecipes = [];
+  for (const usageItem of usageItems) {
+    const pieces = Number(usageItem.pieces) || 0;
+    const dbItem = dbItems.find((i) =>
+      usageItem.itemId ? String(i._id) === String(usageItem.itemId) : i.name === usageItem.name
+    );
+    const recipe = dbItem && recipeMap[String(dbItem._id)];
+    if (!recipe) {
+      missingRecipes.push(usageItem.name);
+      continue;
+    }
+    const batches = pieces / (Number(recipe.batchPieces) || 1);
+    let itemCost = 0;
+    recipe.ingredients.forEach((ri) => {
+      const ing = ingredientMap[String(ri.ingredientId)];
+      const qty = (Number(ri.qty) || 0) * batches;
+      const unitPrice = parseFloat(ing?.price) || 0;
+      const key = String(ri.ingredientId);
+      if (!consumption[key]) {
+        consumption[key] = { ingredientId: ri.ingredientId, name: ing?.name ?? "", qty: 0, unitPrice, cost: 0 };
+      }
+      consumption[key].qty += qty;
+      consumption[key].cost += qty * unitPrice;
+      itemCost += qty * unitPrice;
+    });
+    items.push({ itemId: dbItem._id, name: usageItem.name, pieces, cost: Number(itemCost.toFixed(2)) });
+  }
+
+  const ingredients = Object.values(consumption).map((c) => ({
+    ...c,
+    qty: Number(c.qty.toFixed(3)),
+    cost: Number(c.cost.toFixed(2)),
+  }));
+  const theoreticalCost = ingredients.reduce((sum, c) => sum + c.cost, 0);
+  return { items, ingredients, theoreticalCost: Number(theoreticalCost.toFixed(2)), missingRecipes };
+}
+
+// Helper: validate recipe body, returns error message or null
+const validateRecipe = ({ batchPieces, ingredients }) => {
+  if (batchPieces !== undefined && !(Number(batchPieces) > 0)) return "batchPieces must be greater than 0";
+  if (!Array.isArray(ingredients) || ingredients.length === 0) return "ingredients array required";
+  for (const ri of ingredients) {
+    if (!ri.ingredientId || !ObjectId.isValid(String(ri.ingredientId))) return "valid ingredientId required";
+    if (!(Number(ri.qty) > 0)) return "ingredient qty must be greater than 0";
+  }
+  return null;
+};
+
+// Get all recipes
+app.get("/api/recipes", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const recipes = await recipesCollection.find({}).sort({ _id: 1 }).toArray();
+    res.json(recipes);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch recipes" });
+  }
+});
+
+// Get recipe for an item
+app.get("/api/recipes/:itemId", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const recipe = await recipesCollection.findOne({ itemId: req.params.itemId });
+    if (!recipe) return res.status(404).json({ error: "Recipe not found" });
+    res.json(recipe);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch recipe" });
+  }
+});
+
+// Create or replace recipe for an item
+app.put("/api/recipes/:itemId", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const itemId = req.params.itemId;
+    const { batchPieces, ingredients, note } = req.body;
+    const error = validateRecipe(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!ObjectId.isValid(itemId)) return res.status(400).json({ error: "Invalid itemId" });
+    const item = await itemsCollection.findOne({ _id: new ObjectId(itemId) });
+    if (!item) return res.status(404).json({ error: "Item not found" });
+    const ingredientIds = ingredients.map((ri) => new ObjectId(String(ri.ingredientId)));
+    const found = await ingredientsCollection.countDocuments({ _id: { $in: ingredientIds } });
+    if (found !== new Set(ingredientIds.map(String)).size) {
+      return res.status(400).json({ error: "Unknown ingredientId" });
+    }
+    const recipeDoc = {
+      itemId,
+      batchPieces: Number(batchPieces) || 1,
+      ingredients: ingredients.map((ri) => ({ ingredientId: String(ri.ingredientId), qty: Number(ri.qty) })),
+      note: note || "",
+    };
+    const before = await recipesCollection.findOne({ itemId });
+    const result = await recipesCollection.updateOne({ itemId }, { $set: recipeDoc }, { upsert: true });
+    await audit(req, { entity: "recipes", before, after: await recipesCollection.findOne({ itemId }) });
+    res.status(201).json({ upserted: result.upsertedId, modified: result.modifiedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to save recipe" });
+  }
+});
+
+// Delete recipe for an item
+app.delete("/api/recipes/:itemId", verifyToken, verifyRole("admin", "manager"), async (req, res) => {
+  try {
+    const before = await recipesCollection.findOne({ itemId: req.params.itemId });
+    const result = await recipesCollection.deleteOne({ itemId: req.params.itemId });
+    if (before) await audit(req, { entity: "recipes", before });
+    res.json({ deletedCount: result.deletedCount });
+  } catch {
+    res.status(500).json({ error: "Failed to delete recipe" });
+  }
+});
+
+// GET - Theoretical ingredient consumption and cost for a usage date vs entered totalExpense
+app.get("/api/usage/:date/theoretical", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const dateKey = toDateKey(req.params.date);
+    const usage = await usageCollection.findOne({ branch: req.branch, date: dateKey });
+    if (!usage) return res.status(404).json({ error: "No usage for this date" });
+    const result = await computeTheoreticalUsage(usage);
+    const actualExpense = parseFloat(usage.totalExpense) || 0;
+    res.json({
+      date: dateKey,
+      ...result,
+      actualExpense,
+      variance: Number((actualExpense - result.theoreticalCost).toFixed(2)),
+    });
+  } catch {
+    res.status(500).json({ error: "Failed to calculate theoretical usage" });
+  }
+});
+
+// --- Stock Ledger API ---
+// Each entry: { ingredientId, type, qty, unitCost, supplier, date, note, usageDate, branch, createdBy, createdAt }
+// type: "purchase" (+qty), "adjustment" (+/- qty), "consumption" (-qty, posted from usage)
+// Current stock = sum of qty for the ingredient in the branch.
+const STOCK_TYPES = ["purchase", "adjustment", "consumption"];
+
+// Helper: current stock per ingredient in a branch, optionally only for some ingredient ids
+async function getStockLevels(branch, ingredientIds) {
+  const match = { branch };
+  if (ingredientIds) match.ingredientId = { $in: ingredientIds.map(String) };
+  const sums = await stockLedgerCollection
+    .aggregate([
+      { $match: match },
+      { $group: { _id: "$ingredientId", stock: { $sum: "$qty" }, lastEntry: { $max: "$date" } } },
+    ])
+    .toArray();
+  const stockMap = {};
+  sums.forEach((s) => { stockMap[s._id] = s; });
+
+  const query = ingredientIds ? { _id: { $in: ingredientIds.map((id) => new ObjectId(String(id))) } } : {};
+  const ingredients = await ingredientsCollection.find(query).sort({ _id: 1 }).toArray();
+  return ingredients.map((ing) => {
+    const stock = Number((stockMap[String(ing._id)]?.stock ?? 0).toFixed(3));
+    const reorderLevel = Number(ing.reorderLevel) || 0;
+    return {
+      ingredientId: String(ing._id),
+      name: ing.name,
+      stock,
+      reorderLevel,
+      lastEntry: stockMap[String(ing._id)]?.lastEntry ?? null,
+      low: reorderLevel > 0 && stock <= reorderLevel,
+    };
+  });
+}
+
+// Helper: emit "stock-low" to the branch's stock room for ingredients that a write took down to or
+// below their reorder level (`before`: their levels from getStockLevels before the write)
+async function checkLowStock(io, branch, before) {
+  if (!before.length) return;
+  const wasLow = new Set(before.filter((l) => l.low).map((l) => l.ingredientId));
+  const levels = await getStockLevels(branch, before.map((l) => l.ingredientId));
+  const low = levels.filter((l) => l.low && !wasLow.has(l.ingredientId));
+  if (low.length) io.to(`branch:${branch}:entity:stockLedger`).emit("stock-low", { branch, ingredients: low });
+}
+
+// Helper: replace the consumption entries of a usage day with its theoretical consumption.
+// Runs in the transaction that saves the usage day, so the ledger always matches the saved sheet;
+// the low-stock check runs once it has committed.
+async function postUsageConsumption(req, usage, session) {
+  const { ingredients } = await computeTheoreticalUsage(usage);
+  const branch = usage.branch ?? DEFAULT_BRANCH;
+  const filter = { type: "consumption", branch, usageDate: usage.date };
+  const previous = await stockLedgerCollection.find(filter, { session }).toArray();
+  const entries = ingredients
+    .filter((c) => c.qty > 0)
+    .map((c) => ({
+      ingredientId: String(c.ingredientId),
+      type: "consumption",
+      qty: -c.qty,
+      unitCost: c.unitPrice,
+      supplier: "",
+      date: usage.date,
+      usageDate: usage.date,
+      branch,
+      note: "",
+      createdBy: req.user?.email ?? "",
+      createdAt: new Date(),
+    }));
+  const touched = [...new Set([...previous, ...entries].map((e) => e.ingredientId))];
+  // Read outside the transaction: the levels before this save
+  const levels = touched.length ? await getStockLevels(branch, touched) : [];
+  await stockLedgerCollection.deleteMany(filter, { session });
+  if (entries.length) await stockLedgerCollection.insertMany(entries, { session });
+  if (previous.length || entries.length) {
+    await audit(
+      req,
+      { entity: "stockLedger", kind: "set", entityId: `consumption:${usage.date}`, filter, before: previous, after: entries, branch },
+      session
+    );
+  }
+  afterCommit(session, () => checkLowStock(req.app.get("io"), branch, levels));
+}
+
+// Helper: validate and build a manual ledger entry, returns { error } or { entry }
+const buildStockEntry = (type, body, user, branch) => {
+  const { ingredientId, qty, unitCost, supplier, date, note } = body;
+  if (!ingredientId || !ObjectId.isValid(String(ingredientId))) return { error: "valid ingredientId required" };
+  const q = Number(qty);
+  if (qty === undefined || qty === "" || isNaN(q) || q === 0) return { error: "qty required" };
+  if (type === "purchase" && q < 0) return { error: "purchase qty must be greater than 0" };
+  if (type === "purchase" && (unitCost === undefined || isNaN(Number(unitCost)))) {
+    return { error: "unitCost required" };
+  }
+  if (type === "adjustment" && !note) return { error: "note required for adjustment" };
+  const dateKey = toDateKey(date || new Date());
+  if (!dateKey) return { error: "Invalid date" };
+  return {
+    entry: {
+      ingredientId: String(ingredientId),
+      type,
+      qty: q,
+      unitCost: unitCost !== undefined ? Number(unitCost) || 0 : null,
+      supplier: supplier || "",
+      date: dateKey,
+      note: note || "",
+      branch,
+      createdBy: user.email,
+      createdAt: new Date(),
+    },
+  };
+};
+
+// Helper: shared handler for purchase / adjustment posts
+const saveStockEntry = (type) => async (req, res) => {
+  let levels;
+  try {
+    const { error, entry } = buildStockEntry(type, req.body, req.user, req.branch);
+    if (error) return res.status(400).json({ error });
+    const ing = await ingredientsCollection.findOne({ _id: new ObjectId(entry.ingredientId) });
+    if (!ing) return res.status(404).json({ error: "Ingredient not found" });
+    const before = await getStockLevels(req.branch, [entry.ingredientId]);
+    const result = await stockLedgerCollection.insertOne(entry);
+    await audit(req, { entity: "stockLedger", after: entry });
+    res.status(201).json({ insertedId: result.insertedId });
+    levels = before;
+  } catch {
+    return res.status(500).json({ error: `Failed to save stock ${type}` });
+  }
+  // The entry is saved and answered: a failed check is only logged
+  await checkLowStock(req.app.get("io"), req.branch, levels).catch((err) => console.error("❌ Failed to check low stock:", err));
+};
+
+// Record a purchase receipt
+app.post("/api/stock/purchases", verifyToken, verifyRole("admin", "manager"), saveStockEntry("purchase"));
+
+// Record a manual adjustment (count correction, spoilage...)
+app.post("/api/stock/adjustments", verifyToken, verifyRole("admin", "manager"), saveStockEntry("adjustment"));
+
+// Get ledger entries (filter: ingredientId, type, from, to; list contract, see List Queries)
+app.get("/api/stock/ledger", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !STOCK_TYPES.includes(type)) return res.status(400).json({ error: "Invalid type" });
+    const list = parseListQuery(req.query, {
+      filters: ["ingredientId", "type"],
+      sortFields: ["date", "qty", "ingredientId"],
+      defaultSort: "date",
+    });
+    if (list.error) return res.status(400).json({ error: list.error });
+    res.json(listBody(await findList(stockLedgerCollection, { branch: req.branch }, list)));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch stock ledger" });
+  }
+});
+
+// Current stock for all ingredients
+app.get("/api/stock", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    res.json(await getStockLevels(req.branch));
+  } catch {
+    res.status(500).json({ error: "Failed to fetch stock" });
+  }
+});
+
+// Current stock for one ingredient
+app.get("/api/stock/:ingredientId", verifyToken, verifyRole("admin", "manager", "viewer"), async (req, res) => {
+  try {
+    const { ingredientId } = req.params;
+    if (!ObjectId.isValid(ingredientId)) return res.status(400).json({ error: "Invalid ingredientId" });
+    const [level] = await getStockLevels(req.branch, [ingredientId]);
+    if (!level) return res.status(404).json({ error: "Ingredient not found" });
+    res.json(level);
+  } catch {
+    res.status(500).json({ error: "Failed to fetch stock" });
   }
 });
 
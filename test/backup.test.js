@@ -0,0 +1,68 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { skip, startServer } = require("./helpers");
+
+describe("backup and restore", { skip }, () => {
+  let server;
+  let salesmanId;
+  let archive;
+  let saved;
+  before(async () => {
+    server = await startServer();
+    const { insertedId } = await server.db.collection("salesmen").insertOne({ name: "Selim", branch: null });
+    salesmanId = String(insertedId);
+    const { status } = await server.api("POST", "/api/daily-sale", {
+      date: "2026-04-01",
+      revision: 0,
+      sales: [{ salesmanId, categories: [{ category: "Cake", qty: 2, price: 150, total: 300 }], deposit: 100, prevDue: 0 }],
+    });
+    assert.equal(status, 201);
+    saved = await server.db.collection("dailySales").find({ salesmanId }).toArray();
+  });
+  after(() => server?.stop());
+
+  // Helper: drop the test data so a restore has something to bring back
+  const wipe = async () => {
+    await server.db.collection("dailySales").deleteMany({});
+    await server.db.collection("salesmen").deleteMany({});
+  };
+
+  it("downloads a gzipped archive", async () => {
+    const { status, body, headers } = await server.api("GET", "/api/admin/backup", undefined, { raw: true });
+    assert.equal(status, 200);
+    assert.match(headers.get("Content-Disposition"), /attachment/);
+    assert.equal(body[0], 0x1f);
+    assert.equal(body[1], 0x8b);
+    archive = body;
+  });
+
+  it("checks an archive without writing on a dry run", async () => {
+    await wipe();
+    const { status, body } = await server.api("POST", "/api/admin/restore?dryRun=true", archive);
+    assert.equal(status, 200);
+    assert.equal(body.dryRun, true);
+    assert.equal(body.counts.dailySales, 1);
+    assert.equal(await server.db.collection("dailySales").countDocuments({}), 0);
+  });
+
+  it("restores the archive as it was saved", async () => {
+    const { status } = await server.api("POST", "/api/admin/restore", archive);
+    assert.equal(status, 200);
+    const restored = await server.db.collection("dailySales").find({ salesmanId }).toArray();
+    assert.deepEqual(restored, saved);
+    assert.equal(await server.db.collection("salesmen").countDocuments({}), 1);
+  });
+
+  it("restores a plain JSON archive", async () => {
+    await wipe();
+    const { status } = await server.api("POST", "/api/admin/restore", zlib.gunzipSync(archive));
+    assert.equal(status, 200);
+    assert.deepEqual(await server.db.collection("dailySales").find({ salesmanId }).toArray(), saved);
+  });
+
+  it("refuses something that is not a backup", async () => {
+    const { status } = await server.api("POST", "/api/admin/restore", Buffer.from("{\"hello\":1}"));
+    assert.equal(status, 400);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { skip, startServer } = require("./helpers");
+
+describe("closed days", { skip }, () => {
+  let server;
+  let salesmanId;
+  before(async () => {
+    server = await startServer();
+    const { insertedId } = await server.db.collection("salesmen").insertOne({ name: "Jamal", branch: null });
+    salesmanId = String(insertedId);
+  });
+  after(() => server?.stop());
+
+  const sheet = (date) => ({ date, revision: 0, sales: [{ salesmanId, categories: [], deposit: 0, prevDue: 0 }] });
+
+  it("closes a date once", async () => {
+    assert.equal((await server.api("POST", "/api/closed-days", { date: "2026-03-01" })).status, 201);
+    assert.equal((await server.api("POST", "/api/closed-days", { date: "2026-03-01" })).status, 409);
+  });
+
+  it("answers 423 for saves on the closed date", async () => {
+    const { status, body } = await server.api("POST", "/api/daily-sale", sheet("2026-03-01"));
+    assert.equal(status, 423);
+    assert.equal(body.closed[0].date, "2026-03-01");
+    assert.equal(await server.db.collection("dailySales").countDocuments({ date: "2026-03-01" }), 0);
+  });
+
+  it("answers 423 for due chain saves before a closed date", async () => {
+    const { status, body } = await server.api("POST", "/api/salesman-payments", { salesmanId, date: "2026-02-27", amount: 50 });
+    assert.equal(status, 423);
+    assert.equal(body.closed[0].date, "2026-03-01");
+    assert.equal(await server.db.collection("salesmanPayments").countDocuments({ salesmanId }), 0);
+  });
+
+  it("accepts saves again once an admin reopens the date", async () => {
+    assert.equal((await server.api("POST", "/api/closed-days/2026-03-01/reopen", {})).status, 400);
+    const reopened = await server.api("POST", "/api/closed-days/2026-03-01/reopen", { reason: "late deposit" });
+    assert.equal(reopened.status, 200);
+    assert.equal(reopened.body.closed, false);
+
+    assert.equal((await server.api("POST", "/api/daily-sale", sheet("2026-03-01"))).status, 201);
+  });
+});
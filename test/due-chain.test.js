@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { skip, startServer } = require("./helpers");
+
+describe("salesman due chain", { skip }, () => {
+  let server;
+  let salesmanId;
+  before(async () => {
+    server = await startServer();
+    const { insertedId } = await server.db.collection("salesmen").insertOne({ name: "Karim", branch: null });
+    salesmanId = String(insertedId);
+  });
+  after(() => server?.stop());
+
+  // Helper: save one salesman's row of a date at the sheet's current revision
+  const saveDay = async (date, total, deposit) => {
+    const sheet = await server.api("GET", `/api/daily-sale/${date}`);
+    const revision = Number(sheet.headers.get("X-Revision"));
+    return server.api("POST", "/api/daily-sale", {
+      date,
+      revision,
+      sales: [{ salesmanId, categories: [{ category: "Bread", qty: 1, price: total, total }], deposit, prevDue: 0 }],
+    });
+  };
+  const row = (date) => server.db.collection("dailySales").findOne({ salesmanId, date });
+
+  it("carries each day's due into the next one", async () => {
+    assert.equal((await saveDay("2026-02-01", 500, 200)).status, 201);
+    assert.equal((await saveDay("2026-02-02", 100, 0)).status, 201);
+
+    const second = await row("2026-02-02");
+    assert.equal(second.prevDue, 300);
+    assert.equal(second.currDue, 400);
+  });
+
+  it("re-chains later days when an earlier day changes", async () => {
+    assert.equal((await saveDay("2026-02-01", 500, 500)).status, 201);
+
+    const second = await row("2026-02-02");
+    assert.equal(second.prevDue, 0);
+    assert.equal(second.currDue, 100);
+  });
+
+  it("adds a payment to the day's deposit and re-chains from it", async () => {
+    const paid = await server.api("POST", "/api/salesman-payments", { salesmanId, date: "2026-02-02", amount: 60 });
+    assert.equal(paid.status, 201);
+
+    const second = await row("2026-02-02");
+    assert.equal(second.deposit, 60);
+    assert.equal(second.currDue, 40);
+  });
+
+  it("rejects a save made from a stale revision", async () => {
+    const { status, body } = await server.api("POST", "/api/daily-sale", {
+      date: "2026-02-01",
+      revision: 0,
+      sales: [{ salesmanId, categories: [], deposit: 0, prevDue: 0 }],
+    });
+    assert.equal(status, 409);
+    assert.ok(body.error);
+  });
+});
@@ -0,0 +1,99 @@
+// Test harness: runs server.js as a child process against a throwaway database.
+// Needs a MongoDB replica set (the routes use transactions): set MONGODB_TEST_URI,
+// e.g. mongodb://127.0.0.1:27017/?replicaSet=rs0. Without it the tests are skipped.
+const { spawn } = require("child_process");
+const net = require("net");
+const path = require("path");
+const { MongoClient, ObjectId } = require("mongodb");
+const jwt = require("jsonwebtoken");
+
+const MONGODB_TEST_URI = process.env.MONGODB_TEST_URI;
+const JWT_SECRET = "test-secret";
+const skip = MONGODB_TEST_URI ? false : "MONGODB_TEST_URI is not set";
+
+// Helper: a free local port
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+// Helper: wait until `fn` returns something truthy (or give up after `ms`)
+async function waitFor(fn, ms = 15000) {
+  const until = Date.now() + ms;
+  for (;;) {
+    const value = await fn().catch(() => null);
+    if (value) return value;
+    if (Date.now() > until) throw new Error("Timed out waiting for the server");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+// Start the server on its own database; returns { db, api, token, stop }
+async function startServer(env = {}) {
+  const dbName = `mahiBakery_test_${process.pid}_${Date.now()}`;
+  const client = new MongoClient(MONGODB_TEST_URI);
+  await client.connect();
+  const db = client.db(dbName);
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: { ...process.env, ...env, PORT: String(port), MONGODB_URI: MONGODB_TEST_URI, MONGODB_DB: dbName, JWT_SECRET },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const { insertedId } = await db.collection("users").insertOne({ email: "admin@test.local", role: "admin" });
+  const token = jwt.sign({ uid: String(insertedId), email: "admin@test.local" }, JWT_SECRET);
+
+  // Helper: JSON request as the test admin; returns { status, body, headers }.
+  // A Buffer body is sent as it is; raw: the answer body is returned as a Buffer.
+  const api = async (method, url, body, { branch, raw = false } = {}) => {
+    const binary = Buffer.isBuffer(body);
+    const res = await fetch(`http://127.0.0.1:${port}${url}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body !== undefined && { "Content-Type": binary ? "application/octet-stream" : "application/json" }),
+        ...(branch && { "X-Branch": branch }),
+      },
+      body: body === undefined || binary ? body : JSON.stringify(body),
+    });
+    if (raw) return { status: res.status, body: Buffer.from(await res.arrayBuffer()), headers: res.headers };
+    const text = await res.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // Not JSON: keep the text
+    }
+    return { status: res.status, body: parsed, headers: res.headers };
+  };
+
+  try {
+    // Indexes are created right after connecting; the event index is the last one a test relies on
+    await waitFor(async () => output.includes("Connected to MongoDB") && (await api("GET", "/api/branches")).status === 200);
+    await waitFor(async () => (await db.collection("events").indexes()).some((i) => i.key.seq));
+  } catch (err) {
+    child.kill();
+    await client.close();
+    throw new Error(`${err.message}\n${output}`);
+  }
+
+  const stop = async () => {
+    child.kill();
+    await exited;
+    await db.dropDatabase();
+    await client.close();
+  };
+  return { db, api, token, port, stop, ObjectId };
+}
+
+module.exports = { skip, startServer, waitFor };
@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { skip, startServer } = require("./helpers");
+
+describe("offline sync", { skip }, () => {
+  let server;
+  let salesmanId;
+  before(async () => {
+    server = await startServer();
+    const { insertedId } = await server.db.collection("salesmen").insertOne({ name: "Rahim", branch: null });
+    salesmanId = String(insertedId);
+  });
+  after(() => server?.stop());
+
+  it("applies a mutation once and replays its result for the same key", async () => {
+    const mutation = {
+      key: "payment-1",
+      method: "POST",
+      path: "/api/salesman-payments",
+      body: { salesmanId, date: "2026-01-10", amount: 150 },
+    };
+    const first = await server.api("POST", "/api/sync", { mutations: [mutation] });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.results[0].status, 201);
+    assert.equal(first.body.results[0].replayed, false);
+
+    const again = await server.api("POST", "/api/sync", { mutations: [mutation] });
+    assert.equal(again.body.results[0].status, 201);
+    assert.equal(again.body.results[0].replayed, true);
+    assert.deepEqual(again.body.results[0].body, first.body.results[0].body);
+
+    const payments = await server.db.collection("salesmanPayments").find({ salesmanId }).toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].amount, 150);
+  });
+
+  it("refuses a key reused for another route", async () => {
+    const { body } = await server.api("POST", "/api/sync", {
+      mutations: [{ key: "payment-1", method: "POST", path: "/api/salesman-returns", body: {} }],
+    });
+    assert.equal(body.results[0].status, 409);
+  });
+});